@@ -10,18 +10,20 @@ Npm.depends({
   "mongodb-client-encryption": "1.1.0",
   mongodb: "3.5.9",
   // chai: "4.2.0", // - enable for testing
+  // "simpl-schema": "1.10.2", // - enable for testing
   // "babel-plugin-istanbul": "5.2.0" // - enable for testing
 });
 
 Package.onUse((api) => {
   api.versionsFrom(["METEOR@1.10"]);
   api.use(["ecmascript", "mongo", "ejson"]);
+  api.use("mongo-decimal", "server", { weak: true });
   api.mainModule("server.js", "server");
   api.mainModule("client.js", "client");
 });
 
 
 Package.onTest((api) => {
-  api.use(["lmieulet:meteor-legacy-coverage@0.1.0", "lmieulet:meteor-coverage@3.0.0", "lmieulet:meteor-packages-coverage@0.2.0", "ecmascript", "meteortesting:mocha", "mongo", "ejson", "znewsham:auto-encrypt"]);
+  api.use(["lmieulet:meteor-legacy-coverage@0.1.0", "lmieulet:meteor-coverage@3.0.0", "lmieulet:meteor-packages-coverage@0.2.0", "ecmascript", "meteortesting:mocha", "mongo", "mongo-decimal", "ejson", "znewsham:auto-encrypt", "aldeed:collection2@3.0.6"]);
   api.mainModule("tests.js", "server");
 });
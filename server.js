@@ -1,6 +1,10 @@
+import crypto from "crypto";
 import { ClientEncryption } from "mongodb-client-encryption";
 import { EJSON } from "meteor/ejson";
-import { MongoInternals } from "meteor/mongo";
+import { Mongo, MongoInternals } from "meteor/mongo";
+
+// mongo-decimal is a weak dependency, Decimal is only available if the app uses it
+const Decimal = Package["mongo-decimal"]?.Decimal;
 
 function flatten(obj, prefix, ret = {}) {
   Object.keys(obj).forEach((key) => {
@@ -15,20 +19,108 @@ function flatten(obj, prefix, ret = {}) {
 }
 
 function __decryptConversionFunction(encryptionClient, options, value) {
+  // values read directly from the driver (e.g., by aggregate) are binaries rather than UINT8Array
+  if (value instanceof MongoInternals.NpmModule.Binary) {
+    value = value.value(true);
+  }
+  // the fields of a change can be undefined when they have been removed
+  if (value === undefined || value === null) {
+    return value;
+  }
   if (!(value instanceof Uint8Array) && options.safe) {
     return value;
   }
-  return EncryptedCollection.decryptValue(
+  return EncryptedCollection.decryptValueAsync(
     encryptionClient,
     // this is more back and forth than I'd like, but meteor swaps binaries for UINT8Array - and Mongo REALLY wants a binary+buffer
     new MongoInternals.NpmModule.Binary(Buffer.from(value))
-  );
+  )
+  .then(fromMongoValue)
+  .catch(async (error) => {
+    // the first byte of the ciphertext is the algorithm, the next 16 are the UUID of the data key used.
+    const keyId = new MongoInternals.NpmModule.Binary(Buffer.from(value).slice(1, 17), 4);
+    if (value.length < 17 || await keyVaultCollection(encryptionClient).findOne({ _id: keyId })) {
+      throw error;
+    }
+    if (options.onKeyShredded) {
+      return options.onKeyShredded(keyId);
+    }
+    throw new Meteor.Error("key-shredded", "The data key used to encrypt this value has been shredded");
+  });
+}
+
+async function __encryptConversionFunction(encryptionClient, entryEncryptionOptions, value) {
+  return (await EncryptedCollection.encryptValueAsync(encryptionClient, entryEncryptionOptions, toMongoValue(value))).buffer;
+}
+
+// the values we encrypt are serialized as BSON without going through meteor, so we convert them the same way meteor does when storing a document
+// i.e., Mongo.ObjectID, Decimal and Uint8Array to their BSON equivalent, and custom EJSON types to { EJSON$type, EJSON$value }
+function replaceNames(filter, value) {
+  if (Array.isArray(value)) {
+    return value.map(aValue => replaceNames(filter, aValue));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, aValue]) => [filter(key), replaceNames(filter, aValue)]));
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+}
+
+function toMongoValue(value) {
+  if (value instanceof Mongo.ObjectID) {
+    return new MongoInternals.NpmModule.ObjectID(value.toHexString());
+  }
+  if (Decimal && value instanceof Decimal) {
+    return MongoInternals.NpmModule.Decimal128.fromString(value.toString());
+  }
+  if (value instanceof Uint8Array) {
+    return new MongoInternals.NpmModule.Binary(Buffer.from(value));
+  }
+  if (EJSON._isCustomType(value)) {
+    return replaceNames(name => `EJSON${name}`, EJSON.toJSONValue(value));
+  }
+  if (Array.isArray(value)) {
+    return value.map(toMongoValue);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, aValue]) => [key, toMongoValue(aValue)]));
+  }
+  return value;
 }
 
-function __encryptConversionFunction(encryptionClient, entryEncryptionOptions, value) {
-  return EncryptedCollection.encryptValue(encryptionClient, entryEncryptionOptions, value).buffer;
+// the decrypted value may come from a different copy of bson than the driver's, so we check _bsontype rather than instanceof
+function fromMongoValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(fromMongoValue);
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  if (value._bsontype === "ObjectID" || value._bsontype === "ObjectId") {
+    return new Mongo.ObjectID(value.toHexString());
+  }
+  if (value._bsontype === "Decimal128") {
+    return Decimal ? Decimal(value.toString()) : value;
+  }
+  if (value._bsontype === "Binary") {
+    return new Uint8Array(value.value(true));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  const keys = Object.keys(value);
+  if (keys.length === 2 && "EJSON$type" in value && "EJSON$value" in value) {
+    return EJSON.fromJSONValue(replaceNames(name => name.slice(5), value));
+  }
+  return Object.fromEntries(keys.map(key => [key, fromMongoValue(value[key])]));
 }
 
+// how many values are encrypted or decrypted at once, unless the concurrency option is set
+const DEFAULT_CONCURRENCY = 32;
+
 const passthroughOperators = new Set(["$exists", "$size"]);
 const supportedOperators = new Set(["$in", "$not", "$nin", "$eq", "$ne", "$nor", "$and", "$or", "$exists", "$each", "$size"]);
 const arrayOperators = new Set(["$and", "$or", "$nor"]);
@@ -36,18 +128,95 @@ const arrayOperators = new Set(["$and", "$or", "$nor"]);
 // even though $in and $nin and $each take arrays they aren't really "array" operators
 const nestedOperators = new Set(["$in", "$nin", "$not", "$each", "$eq"]);
 
-const allowedOptions = ["keyVaultNamespace", "kmsProviders", "masterKey", "keyAltName", "algorithm", "provider", "safe"];
+// mutator operators that don't care what the value of a field is
+const safeMutatorOperators = new Set(["$unset", "$pop"]);
+
+const rangeOperators = ["$gt", "$gte", "$lt", "$lte"];
+
+// range indexes narrow the results to whole buckets, only the cursors (of find and findOne) filter out the rest
+const rangeQueryMethods = new Set(["find", "findOne"]);
+
+// the bucket of a date is a prefix of its ISO string, e.g., 2020-03 for month
+const dateGranularities = { year: 4, month: 7, day: 10 };
+
+const RANDOM_ALGORITHM = "AEAD_AES_256_CBC_HMAC_SHA_512-Random";
+
+// aggregation stages that leave the document shape (and so the schema) untouched
+const shapePreservingStages = new Set(["$match", "$sort", "$limit", "$skip", "$sample"]);
+
+const allowedOptions = ["keyVaultNamespace", "kmsProviders", "masterKey", "keyAltName", "algorithm", "provider", "safe", "strict", "onKeyShredded", "concurrency"];
 
 const encryptionClientsByMongoClient = new Map();
 
+// a KeyCache of data keys by keyAltName, per ClientEncryption
 const dataKeysByEncryptionClient = new Map();
 
+let keyCacheOptions = { maxSize: Infinity, ttl: Infinity };
+
+// a map with an optional maximum size (least recently used entries are evicted first) and time to live
+class KeyCache {
+  constructor({ maxSize, ttl }) {
+    this._maxSize = maxSize;
+    this._ttl = ttl;
+    this._map = new Map();
+  }
+
+  get(key) {
+    const entry = this._map.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expires <= Date.now()) {
+      this._map.delete(key);
+      return undefined;
+    }
+    // maps iterate in insertion order, so re-inserting makes this the most recently used
+    this._map.delete(key);
+    this._map.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this._map.delete(key);
+    this._map.set(key, { value, expires: Date.now() + this._ttl });
+    while (this._map.size > this._maxSize) {
+      this._map.delete(this._map.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this._map.delete(key);
+  }
+}
+
+// the promise of the unique keyAltNames index per key vault collection (by namespace) per mongo client
+const keyVaultIndexesByMongoClient = new Map();
+
+// how many times we try to create a data key that another server keeps creating (and removing) at the same time
+const CREATE_DATA_KEY_ATTEMPTS = 3;
+
+// how many times we try to rewrite a document that keeps changing while it's converted (e.g., by reencrypt)
+const REWRITE_DOCUMENT_ATTEMPTS = 5;
+
+// without fibers (e.g., Meteor 3) we can only use the async API
+const fibersPresent = typeof Promise.await === "function";
+let fibersAvailable = fibersPresent;
+
+// collection2 wraps the collection methods we replace, if it loaded first it would validate the encrypted values (see attachEncryptedSchema)
+const collection2LoadedFirst = !!Package["aldeed:collection2"];
+
+// the async versions only exist in newer versions of meteor - and only get used when fibers aren't available
+// as in some versions they call the (patched) sync versions
 const origFunctions = {
   findOne: Meteor.Collection.prototype.findOne,
   find: Meteor.Collection.prototype.find,
   insert: Meteor.Collection.prototype.insert,
   update: Meteor.Collection.prototype.update,
-  remove: Meteor.Collection.prototype.remove
+  remove: Meteor.Collection.prototype.remove,
+  findOneAsync: Meteor.Collection.prototype.findOneAsync,
+  insertAsync: Meteor.Collection.prototype.insertAsync,
+  updateAsync: Meteor.Collection.prototype.updateAsync,
+  removeAsync: Meteor.Collection.prototype.removeAsync
 };
 
 function newFunction({
@@ -59,14 +228,61 @@ function newFunction({
   originalMethodArgs,
   encryptionOptions,
   isSelectorOrMutator = false,
-  actualKey // we pass this in with operators, so we know what we're operating over
+  isSelector = false, // selectors (unlike mutators) are rewritten to query the blind index of a field
+  actualKey, // we pass this in with operators, so we know what we're operating over
+  path, // the path of currentObj within the document - only used for reporting
+  pending // the conversions are async, we push them here so they can be run (see convert)
 }) {
   if (!currentSchema) {
     return currentObj;
   }
   const ret = inPlace ? currentObj : (Array.isArray(currentObj) ? [] : {});
+  const companionPaths = [];
   Array.from(currentObj.entries ? currentObj.entries() : Object.entries(currentObj))
   .forEach(([key, value]) => {
+    if (isSelector && !actualKey && typeof key === "string" && !key.startsWith("$")) {
+      const {
+        blindIndex, searchIndex, rangeIndex, normalize
+      } = currentSchema.encryptionOptions(key, originalMethodName, originalMethodArgs) || {};
+      const { range, rest: nonRange } = splitRangeOperators(value, rangeIndex);
+      if (range) {
+        if (!rangeQueryMethods.has(originalMethodName)) {
+          throw new Meteor.Error("unsupported-operation", `Range queries of ${joinPath(path, key)} can only be used with find and findOne`);
+        }
+        ret[blindIndexPath(key, rangeIndex.field)] = rangeIndexSelector(rangeIndex, range, joinPath(path, key));
+        if (nonRange === undefined) {
+          return;
+        }
+        value = nonRange;
+      }
+      const { search, rest } = splitSearchOperators(value, searchIndex);
+      if (search) {
+        if (!searchIndex) {
+          throw new Meteor.Error("unsupported-operator", `The $encryptedContains operator can only be used on fields with a searchIndex (${joinPath(path, key)})`);
+        }
+        ret[blindIndexPath(key, searchIndex.field)] = searchIndexSelector(searchIndex, search, joinPath(path, key));
+        if (rest === undefined) {
+          return;
+        }
+        value = rest;
+      }
+      if (blindIndex) {
+        ret[blindIndexPath(key, blindIndex.field)] = blindIndexSelector(blindIndex, value, joinPath(path, key), normalize);
+        return;
+      }
+    }
+    if (isSelectorOrMutator && encryptionOptions?.strict && typeof key === "string" && key.startsWith("$") && !supportedOperators.has(key)) {
+      checkUnsupportedOperator({
+        operator: key,
+        value,
+        currentSchema,
+        originalMethodName,
+        originalMethodArgs,
+        encryptionOptions,
+        actualKey,
+        path
+      });
+    }
     if (passthroughOperators.has(key)) {
       ret[key] = value;
     }
@@ -79,8 +295,11 @@ function newFunction({
           originalMethodName,
           originalMethodArgs,
           isSelectorOrMutator,
+          isSelector,
           encryptionOptions,
-          actualKey
+          actualKey,
+          path,
+          pending
         }));
       }
       if (nestedOperators.has(key)) {
@@ -91,8 +310,11 @@ function newFunction({
           originalMethodName,
           originalMethodArgs,
           isSelectorOrMutator,
+          isSelector,
           encryptionOptions,
-          actualKey
+          actualKey,
+          path,
+          pending
         });
       }
     }
@@ -104,33 +326,96 @@ function newFunction({
         originalMethodName,
         originalMethodArgs,
         isSelectorOrMutator,
+        isSelector,
         encryptionOptions,
-        actualKey: key
+        actualKey: key,
+        path,
+        pending
       });
     }
     else {
-      let entryEncryptionOptions = currentSchema.encryptionOptions(actualKey || (Number.isInteger(key) ? "$" : key), originalMethodName, originalMethodArgs);
+      const schemaKey = actualKey || (Number.isInteger(key) ? "$" : key);
+      if (isSelectorOrMutator && encryptionOptions?.strict) {
+        // { field: { $gt: 1 } } or { field: /regex/ } would otherwise be encrypted as though it were a value
+        const operators = value instanceof RegExp ? ["$regex"] : (isOperatorObject(value) ? Object.keys(value).filter(k => !supportedOperators.has(k)) : []);
+        operators.forEach(operator => checkUnsupportedOperator({
+          operator,
+          currentSchema,
+          originalMethodName,
+          originalMethodArgs,
+          encryptionOptions,
+          actualKey: schemaKey,
+          path
+        }));
+      }
+      let entryEncryptionOptions = currentSchema.encryptionOptions(schemaKey, originalMethodName, originalMethodArgs);
+      let isElement = schemaKey === "$";
 
       // we're in a selector/mutator so { array: value } should encrypt value, even though array does not have an encryption entry
-      if (!entryEncryptionOptions && isSelectorOrMutator && !Array.isArray(value)) {
-        const subSchema = currentSchema.get(actualKey || (Number.isInteger(key) ? "$" : key));
+      // similarly, an upsert of { array: value } will store a single encrypted entry in place of the array
+      if (!entryEncryptionOptions && (isSelectorOrMutator || isBinary(value)) && !Array.isArray(value)) {
+        const subSchema = currentSchema.get(schemaKey);
         entryEncryptionOptions = (subSchema instanceof EncryptionSchema) && subSchema.encryptionOptions("$", originalMethodName, originalMethodArgs);
+        isElement = true;
+      }
+      const original = value;
+      if (entryEncryptionOptions?.normalize && conversionFn === __encryptConversionFunction && !(value instanceof RegExp) && !isOperatorObject(value)) {
+        value = entryEncryptionOptions.normalize(value);
+      }
+      const fields = companionFields(entryEncryptionOptions);
+      if (fields.length) {
+        if (isElement) {
+          throw new Meteor.Error("unsupported-operation", `Blind, search and range indexes and keepOriginal can't be used on array elements (${joinPath(path, actualKey || key)})`);
+        }
+        const {
+          blindIndex, searchIndex, rangeIndex, keepOriginal
+        } = entryEncryptionOptions;
+        if (conversionFn === __encryptConversionFunction) {
+          if (blindIndex) {
+            ret[blindIndexPath(key, blindIndex.field)] = blindIndexValue(blindIndex.key, value);
+          }
+          if (searchIndex) {
+            ret[blindIndexPath(key, searchIndex.field)] = searchTokens(searchIndex, value);
+          }
+          if (rangeIndex) {
+            ret[blindIndexPath(key, rangeIndex.field)] = rangeToken(rangeIndex, value);
+          }
+        }
+        else {
+          companionPaths.push(...fields.filter(field => field !== keepOriginal?.field).map(field => blindIndexPath(key, field)));
+        }
       }
       if (entryEncryptionOptions) {
         const mergedOptions = { ...encryptionOptions };
         Object.assign(mergedOptions, entryEncryptionOptions || {});
         const encryptionClient = EncryptedCollection.ensureEncryptionClient(mergedOptions);
-        ret[key] = conversionFn(encryptionClient, mergedOptions, value);
+        pending.push({ target: ret, key, convert: () => conversionFn(encryptionClient, mergedOptions, value) });
+
+        // the original (unnormalized) value is stored randomly encrypted alongside the field, and returned as its own field
+        const { keepOriginal } = entryEncryptionOptions;
+        if (keepOriginal && !isSelector) {
+          const originalPath = blindIndexPath(key, keepOriginal.field);
+          if (conversionFn === __encryptConversionFunction) {
+            const originalOptions = { ...mergedOptions, algorithm: RANDOM_ALGORITHM };
+            pending.push({ target: ret, key: originalPath, convert: () => conversionFn(encryptionClient, originalOptions, original) });
+          }
+          else if (isBinary(currentObj[originalPath])) {
+            pending.push({ target: ret, key: originalPath, convert: () => conversionFn(encryptionClient, mergedOptions, currentObj[originalPath]) });
+          }
+        }
       }
-      else if (typeof value === "object") {
+      else if (typeof value === "object" && !isCiphertext(value)) {
         ret[key] = newFunction({
           conversionFn,
-          currentSchema: currentSchema.get(actualKey || (Number.isInteger(key) ? "$" : key)),
+          currentSchema: currentSchema.get(schemaKey),
           currentObj: value,
           originalMethodName,
           encryptionOptions,
           originalMethodArgs,
-          isSelectorOrMutator
+          isSelectorOrMutator,
+          isSelector,
+          path: joinPath(path, actualKey || key),
+          pending
         });
       }
       else {
@@ -139,77 +424,1261 @@ function newFunction({
     }
   });
 
+  // blind, search and range indexes are only used by the database, so aren't returned with the decrypted document
+  companionPaths.forEach((field) => {
+    delete ret[field];
+  });
+  return ret;
+}
+
+// runs the jobs (functions returning promises), at most concurrency at a time
+async function runJobs(jobs, concurrency = DEFAULT_CONCURRENCY) {
+  let next = 0;
+  // each worker takes the next job once its current one is done
+  const worker = async () => {
+    if (next < jobs.length) {
+      await jobs[next++]();
+      await worker();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+}
+
+// the jobs that run each conversion collected by newFunction, and store the result
+function conversionJobs(pending) {
+  return pending.map(({ target, key, convert: convertValue }) => async () => {
+    target[key] = await convertValue();
+  });
+}
+
+// rather than converting now, each value is converted the first time it is read (and then stored)
+function defineLazyValues(pending) {
+  pending.forEach(({ target, key, convert: convertValue }) => {
+    const define = value => Object.defineProperty(target, key, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+    Object.defineProperty(target, key, {
+      enumerable: true,
+      configurable: true,
+      get() {
+        const value = Promise.await(convertValue());
+        define(value);
+        return value;
+      },
+      set: define
+    });
+  });
+}
+
+// runs newFunction, then runs all the conversions it collected concurrently
+async function convert(args) {
+  const pending = [];
+  const ret = newFunction({ ...args, pending });
+  await runJobs(conversionJobs(pending), args.encryptionOptions?.concurrency);
+  return ret;
+}
+
+// decrypts many documents in place, the conversions of every document share the same concurrency limit
+// if lazy, the values are instead decrypted when they're first read - this requires fibers.
+async function decryptDocuments(docs, originalMethodName, originalMethodArgs, encryptionOptionsFor, lazy = false) {
+  const pending = [];
+  let concurrency;
+  docs.forEach((doc) => {
+    const encryptionOptions = encryptionOptionsFor(doc);
+    if (!encryptionOptions?.schema) {
+      return;
+    }
+    concurrency = concurrency || encryptionOptions.concurrency;
+    newFunction({
+      inPlace: true,
+      conversionFn: __decryptConversionFunction,
+      currentObj: doc,
+      currentSchema: encryptionOptions.schema,
+      originalMethodArgs: { document: doc, ...originalMethodArgs },
+      originalMethodName,
+      encryptionOptions,
+      pending
+    });
+  });
+  if (lazy) {
+    defineLazyValues(pending);
+  }
+  else {
+    await runJobs(conversionJobs(pending), concurrency);
+  }
+  return docs;
+}
+
+async function decryptDocument(doc, originalMethodName, originalMethodArgs, encryptionOptions) {
+  await decryptDocuments([doc], originalMethodName, originalMethodArgs, () => encryptionOptions);
+  return doc;
+}
+
+function checkConcurrency({ concurrency } = {}) {
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1)) {
+    throw new Meteor.Error("bad-option", `concurrency must be an integer of at least 1, got ${concurrency}`);
+  }
+}
+
+// returns the options used by encryptionOptions (either an object, or a function returning one) over the base options
+function normalizeEncryptionOptions(baseOptions, optionsOrFn) {
+  if (typeof optionsOrFn === "function") {
+    return (...args) => {
+      const returnedConfig = optionsOrFn(...args) || {};
+      checkConcurrency(returnedConfig);
+      const options = Object.assign({}, baseOptions);
+      allowedOptions.forEach((option) => {
+        if (returnedConfig[option]) {
+          options[option] = returnedConfig[option];
+        }
+      });
+      if (returnedConfig?.schema || returnedConfig?.jsonSchema) {
+        options.schema = encryptionSchemaOf(returnedConfig);
+      }
+      return options;
+    };
+  }
+  const encryptionOptions = Object.assign(
+    {},
+    baseOptions, {
+      schema: encryptionSchemaOf(optionsOrFn)
+    }
+  );
+
+  allowedOptions.forEach((option) => {
+    if (optionsOrFn[option]) {
+      encryptionOptions[option] = optionsOrFn[option];
+    }
+  });
+  return encryptionOptions;
+}
+
+// the schema can be given in our format, or as a $jsonSchema (see encryptionSchemaFromJsonSchema) - or both
+function encryptionSchemaOf({ schema, jsonSchema } = {}) {
+  if (jsonSchema) {
+    return new EncryptionSchema({ ...encryptionSchemaFromJsonSchema(jsonSchema), ...schema });
+  }
+  return schema && new EncryptionSchema(schema);
+}
+
+// accepts the forms a UUID may take in a $jsonSchema - a binary, a UUID string or extended JSON
+function toKeyId(keyId) {
+  if (keyId instanceof MongoInternals.NpmModule.Binary) {
+    return keyId;
+  }
+  if (keyId instanceof Uint8Array) {
+    return new MongoInternals.NpmModule.Binary(Buffer.from(keyId), 4);
+  }
+  if (typeof keyId === "string") {
+    return new MongoInternals.NpmModule.Binary(Buffer.from(keyId.replace(/-/g, ""), "hex"), 4);
+  }
+  if (keyId?.$binary) {
+    const { base64, subType } = typeof keyId.$binary === "string" ? { base64: keyId.$binary, subType: keyId.$type } : keyId.$binary;
+    return new MongoInternals.NpmModule.Binary(Buffer.from(base64, "base64"), parseInt(subType || "04", 16));
+  }
+  throw new Meteor.Error("bad-schema", `Unknown keyId ${JSON.stringify(keyId)}`);
+}
+
+// a JSON pointer (e.g., /owner/keyName) refers to the field of the document holding the keyAltName - which we find in the document being written
+// if the write doesn't include it this is undefined, and encrypting throws (see encryptValueAsync)
+function keyAltNameAt({ document, mutator } = {}, pointer) {
+  const path = pointer.replace(/^\//, "").split("/").map(part => part.replace(/~1/g, "/").replace(/~0/g, "~")).join(".");
+  const replacement = mutator && isReplacement(mutator) ? mutator : undefined;
+  return valueAtPath(document, path) ?? valueAtPath(replacement, path) ?? mutator?.$set?.[path] ?? valueAtPath(mutator?.$set, path);
+}
+
+// the entry of a field with an encrypt block, merged over the encryptMetadata of its ancestors
+function jsonSchemaEntry({ keyId, algorithm, bsonType }) {
+  const options = {};
+  if (algorithm) {
+    options.algorithm = algorithm;
+  }
+  if (bsonType) {
+    options.bsonType = bsonType;
+  }
+  if (typeof keyId === "string") {
+    return (originalMethodName, originalMethodArgs) => ({ ...options, keyAltName: keyAltNameAt(originalMethodArgs, keyId), keyAltNamePointer: keyId });
+  }
+  if (Array.isArray(keyId) && keyId.length) {
+    options.keyId = toKeyId(keyId[0]);
+  }
+  // a function, as an object would be treated as a nested schema
+  return Object.keys(options).length ? () => options : true;
+}
+
+function resolveEncryptionOptions(encryptionOptions, originalMethodName, originalMethodArgs) {
+  return typeof encryptionOptions === "function" ? encryptionOptions(originalMethodName, originalMethodArgs) : encryptionOptions;
+}
+
+function namespaceCollection(mongoClient, namespace) {
+  const [dbName, ...collectionName] = namespace.split(".");
+  return mongoClient.db(dbName).collection(collectionName.join("."));
+}
+
+function keyVaultCollection(encryptionClient) {
+  return namespaceCollection(encryptionClient._keyVaultClient, encryptionClient._keyVaultNamespace);
+}
+
+function ensureKeyVaultIndex(encryptionClient) {
+  const mongoClient = encryptionClient._keyVaultClient;
+  if (!keyVaultIndexesByMongoClient.has(mongoClient)) {
+    keyVaultIndexesByMongoClient.set(mongoClient, new Map());
+  }
+  const indexes = keyVaultIndexesByMongoClient.get(mongoClient);
+  if (!indexes.has(encryptionClient._keyVaultNamespace)) {
+    const promise = keyVaultCollection(encryptionClient).createIndex(
+      { keyAltNames: 1 },
+      { unique: true, partialFilterExpression: { keyAltNames: { $exists: true } } }
+    )
+    .catch((error) => {
+      // e.g., the vault already contains duplicates - without the index keys may be created twice, so we don't create any.
+      // the next call tries again, once the vault has been fixed
+      indexes.delete(encryptionClient._keyVaultNamespace);
+      throw new Meteor.Error("key-vault-index", `Couldn't create a unique index on keyAltNames in ${encryptionClient._keyVaultNamespace}: ${error.message}`);
+    });
+    indexes.set(encryptionClient._keyVaultNamespace, promise);
+  }
+  return indexes.get(encryptionClient._keyVaultNamespace);
+}
+
+// another server may create a key with the same keyAltName at the same time - the unique index makes one of us lose,
+// in which case we use the winner's key (or try again if it has since been removed, at most attempts times)
+async function createDataKey(encryptionClient, { provider, masterKey, keyAltName }, attempts = CREATE_DATA_KEY_ATTEMPTS) {
+  await ensureKeyVaultIndex(encryptionClient);
+  try {
+    return await encryptionClient.createDataKey(provider, { masterKey, keyAltNames: [keyAltName] });
+  }
+  catch (error) {
+    if (error.code !== 11000 || attempts <= 1) {
+      throw error;
+    }
+    const existingKey = await keyVaultCollection(encryptionClient).findOne({ keyAltNames: keyAltName }, { projection: { _id: 1 } });
+    if (existingKey) {
+      return existingKey._id;
+    }
+    return createDataKey(encryptionClient, { provider, masterKey, keyAltName }, attempts - 1);
+  }
+}
+
+// drops the cached ClientEncryption instances (and their data keys) for a key vault
+function evictEncryptionClients(mongoClient, keyVaultNamespace) {
+  const mongoClientEncryptionClients = encryptionClientsByMongoClient.get(mongoClient);
+  if (!mongoClientEncryptionClients) {
+    return;
+  }
+  [...mongoClientEncryptionClients.entries()].forEach(([hash, encryptionClient]) => {
+    if (encryptionClient._keyVaultNamespace === keyVaultNamespace) {
+      mongoClientEncryptionClients.delete(hash);
+      dataKeysByEncryptionClient.delete(encryptionClient);
+    }
+  });
+}
+
+// libmongocrypt wraps data keys for the local provider using AEAD_AES_256_CBC_HMAC_SHA_512 with an empty associated data:
+// IV (16 bytes) || AES-256-CBC ciphertext || HMAC-SHA-512(IV || ciphertext || 64 bit associated data length) truncated to 32 bytes
+// the first 32 bytes of the master key are the MAC key, the next 32 are the encryption key.
+const WRAP_IV_LENGTH = 16;
+const WRAP_MAC_LENGTH = 32;
+
+function localKeyMac(masterKey, iv, ciphertext) {
+  return crypto.createHmac("sha512", masterKey.slice(0, 32))
+  .update(iv)
+  .update(ciphertext)
+  .update(Buffer.alloc(8))
+  .digest()
+  .slice(0, WRAP_MAC_LENGTH);
+}
+
+function unwrapLocalKey(masterKey, wrappedKey) {
+  const iv = wrappedKey.slice(0, WRAP_IV_LENGTH);
+  const ciphertext = wrappedKey.slice(WRAP_IV_LENGTH, wrappedKey.length - WRAP_MAC_LENGTH);
+  const mac = wrappedKey.slice(wrappedKey.length - WRAP_MAC_LENGTH);
+  if (!crypto.timingSafeEqual(mac, localKeyMac(masterKey, iv, ciphertext))) {
+    throw new Meteor.Error("bad-master-key", "The data key was not encrypted with the given master key");
+  }
+  const decipher = crypto.createDecipheriv("aes-256-cbc", masterKey.slice(32, 64), iv);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function wrapLocalKey(masterKey, keyMaterial) {
+  const iv = crypto.randomBytes(WRAP_IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-cbc", masterKey.slice(32, 64), iv);
+  const ciphertext = Buffer.concat([cipher.update(keyMaterial), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, localKeyMac(masterKey, iv, ciphertext)]);
+}
+
+// the blind index of a field is stored alongside it, e.g., the blind index of "profile.email" might be "profile.emailIdx"
+function blindIndexPath(path, field) {
+  return [...`${path}`.split(".").slice(0, -1), field].join(".");
+}
+
+function blindIndexValue(key, value) {
+  return crypto.createHmac("sha256", key).update(EJSON.stringify(value, { canonical: true })).digest("base64");
+}
+
+// converts the selector of a blind indexed field into one over its blind index - which only supports equality
+function blindIndexSelector(blindIndex, value, path, normalize = aValue => aValue) {
+  if (!isOperatorObject(value)) {
+    if (value instanceof RegExp) {
+      throw new Meteor.Error("unsupported-operator", `The $regex operator can't be used on the blind indexed field ${path}`);
+    }
+    return blindIndexValue(blindIndex.key, normalize(value));
+  }
+  const ret = {};
+  Object.entries(value).forEach(([operator, operand]) => {
+    if (operator === "$in" || operator === "$nin") {
+      ret[operator] = operand.map(aValue => blindIndexValue(blindIndex.key, normalize(aValue)));
+    }
+    else if (operator === "$eq" || operator === "$ne") {
+      ret[operator] = blindIndexValue(blindIndex.key, normalize(operand));
+    }
+    else if (operator === "$not") {
+      ret[operator] = blindIndexSelector(blindIndex, operand, path, normalize);
+    }
+    else if (operator === "$exists") {
+      ret[operator] = operand;
+    }
+    else {
+      throw new Meteor.Error("unsupported-operator", `The ${operator} operator can't be used on the blind indexed field ${path}`);
+    }
+  });
   return ret;
 }
 
+// the fields stored alongside an encrypted field for its blind, search and range indexes, and its original value
+function companionFields(entryEncryptionOptions) {
+  return [
+    entryEncryptionOptions?.blindIndex?.field,
+    entryEncryptionOptions?.searchIndex?.field,
+    entryEncryptionOptions?.rangeIndex?.field,
+    entryEncryptionOptions?.keepOriginal?.field
+  ].filter(Boolean);
+}
+
+function searchIndexOptions({
+  type = "prefix",
+  minLength = type === "prefix" ? 1 : 3,
+  maxLength = type === "prefix" ? 10 : 3,
+  caseInsensitive = false,
+  key
+}) {
+  return {
+    type, minLength, maxLength, caseInsensitive, key
+  };
+}
+
+// the prefixes (or n-grams) of value with lengths between minLength and maxLength, as HMACs
+function searchTokens(searchIndex, value) {
+  if (typeof value !== "string") {
+    return [];
+  }
+  const {
+    type, minLength, maxLength, caseInsensitive, key
+  } = searchIndexOptions(searchIndex);
+  const normalized = caseInsensitive ? value.toLowerCase() : value;
+  const tokens = new Set();
+  for (let length = minLength; length <= Math.min(maxLength, normalized.length); length++) {
+    if (type === "prefix") {
+      tokens.add(normalized.slice(0, length));
+    }
+    else {
+      for (let start = 0; start + length <= normalized.length; start++) {
+        tokens.add(normalized.slice(start, start + length));
+      }
+    }
+  }
+  return [...tokens].map(token => blindIndexValue(key, token));
+}
+
+// separates $encryptedContains (and $regex when the field has a search index) from the rest of a field's selector
+function splitSearchOperators(value, searchIndex) {
+  if (value instanceof RegExp) {
+    return searchIndex ? { search: { $regex: value } } : { rest: value };
+  }
+  if (!isOperatorObject(value)) {
+    return { rest: value };
+  }
+  const { matched, rest } = partitionOperators(value, searchIndex ? ["$encryptedContains", "$regex", "$options"] : ["$encryptedContains"]);
+  return { search: matched, rest };
+}
+
+// splits an operator object into the given operators and the rest, either may be undefined if empty
+function partitionOperators(value, operators) {
+  const matched = {};
+  const rest = {};
+  Object.entries(value).forEach(([operator, operand]) => {
+    (operators.includes(operator) ? matched : rest)[operator] = operand;
+  });
+  return {
+    matched: Object.keys(matched).length ? matched : undefined,
+    rest: Object.keys(rest).length ? rest : undefined
+  };
+}
+
+// only a literal prefix - e.g., /^abc/ - can be searched for
+function regexPrefix(regex, options = "", path) {
+  const source = regex instanceof RegExp ? regex.source : regex;
+  const flags = regex instanceof RegExp ? regex.flags : options;
+  const match = /^\^((?:[^.*+?()[\]{}|^$\\]|\\[.*+?()[\]{}|^$\\/-])*)$/.exec(source);
+  if (!match || flags.replace("i", "")) {
+    throw new Meteor.Error("unsupported-operator", `Only a literal prefix (e.g., /^abc/) can be searched for in ${path}`);
+  }
+  return { prefix: match[1].replace(/\\(.)/g, "$1"), caseInsensitive: flags.includes("i") };
+}
+
+// converts $regex or $encryptedContains into $all over the search tokens
+function searchIndexSelector(searchIndex, { $regex, $options, $encryptedContains }, path) {
+  const {
+    type, minLength, maxLength, caseInsensitive, key
+  } = searchIndexOptions(searchIndex);
+  let query;
+  if ($regex !== undefined) {
+    if (type !== "prefix" || $encryptedContains !== undefined) {
+      throw new Meteor.Error("unsupported-operator", `$regex can only be used on fields with a prefix searchIndex (${path})`);
+    }
+    const { prefix, caseInsensitive: regexCaseInsensitive } = regexPrefix($regex, $options, path);
+    if (regexCaseInsensitive && !caseInsensitive) {
+      throw new Meteor.Error("unsupported-operator", `The searchIndex of ${path} is case sensitive`);
+    }
+    query = prefix;
+  }
+  else {
+    if (type !== "ngram") {
+      throw new Meteor.Error("unsupported-operator", `$encryptedContains can only be used on fields with an ngram searchIndex (${path})`);
+    }
+    query = `${$encryptedContains}`;
+  }
+  const normalized = caseInsensitive ? query.toLowerCase() : query;
+  if (normalized.length < minLength) {
+    throw new Meteor.Error("bad-query", `Searches of ${path} must be at least ${minLength} characters`);
+  }
+  // longer queries are limited to the tokens we have, so may match more than they should
+  const tokens = type === "prefix"
+    ? [normalized.slice(0, maxLength)]
+    : searchTokens({ ...searchIndex, minLength: Math.min(maxLength, normalized.length), maxLength }, normalized);
+  return { $all: type === "prefix" ? tokens.map(token => blindIndexValue(key, token)) : tokens };
+}
+
+// the bucket of a number (a band of granularity width) or date (the year, month or day), undefined for any other value
+function rangeBucket({ granularity }, value) {
+  if (typeof granularity === "number") {
+    return typeof value === "number" && Number.isFinite(value) ? Math.floor(value / granularity) : undefined;
+  }
+  if (!dateGranularities[granularity]) {
+    throw new Meteor.Error("bad-option", `Unknown range index granularity ${granularity}`);
+  }
+  return value instanceof Date ? value.toISOString().slice(0, dateGranularities[granularity]) : undefined;
+}
+
+function rangeToken(rangeIndex, value) {
+  const bucket = rangeBucket(rangeIndex, value);
+  return bucket === undefined ? null : blindIndexValue(rangeIndex.key, bucket);
+}
+
+// every bucket from the bucket of lower to the bucket of upper (inclusive) - stopping once there are more than limit
+function rangeBuckets({ granularity }, lower, upper, limit) {
+  if (typeof granularity === "number") {
+    const buckets = [];
+    for (let bucket = Math.floor(lower / granularity); bucket <= Math.floor(upper / granularity) && buckets.length <= limit; bucket++) {
+      buckets.push(bucket);
+    }
+    return buckets;
+  }
+  const buckets = [];
+  const date = new Date(Date.UTC(lower.getUTCFullYear(), granularity === "year" ? 0 : lower.getUTCMonth(), granularity === "day" ? lower.getUTCDate() : 1));
+  while (date <= upper && buckets.length <= limit) {
+    buckets.push(date.toISOString().slice(0, dateGranularities[granularity]));
+    if (granularity === "year") {
+      date.setUTCFullYear(date.getUTCFullYear() + 1);
+    }
+    else if (granularity === "month") {
+      date.setUTCMonth(date.getUTCMonth() + 1);
+    }
+    else {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+  }
+  return buckets;
+}
+
+// separates the range operators (when the field has a range index) from the rest of a field's selector
+function splitRangeOperators(value, rangeIndex) {
+  if (!rangeIndex || !isOperatorObject(value)) {
+    return { rest: value };
+  }
+  const { matched, rest } = partitionOperators(value, rangeOperators);
+  return { range: matched, rest };
+}
+
+// converts range operators into $in over the buckets they cover - open ended ranges are bounded by the min and max of the index
+function rangeIndexSelector(rangeIndex, range, path) {
+  const { min, max, maxBuckets = 1000 } = rangeIndex;
+  const lower = range.$gte ?? range.$gt ?? min;
+  const upper = range.$lte ?? range.$lt ?? max;
+  if (lower === undefined || upper === undefined) {
+    throw new Meteor.Error("bad-query", `Range queries of ${path} must have both bounds, unless the range index has a min and max`);
+  }
+  if (rangeBucket(rangeIndex, lower) === undefined || rangeBucket(rangeIndex, upper) === undefined) {
+    throw new Meteor.Error("bad-query", `The bounds of range queries of ${path} must be ${typeof rangeIndex.granularity === "number" ? "numbers" : "dates"}`);
+  }
+  const buckets = lower <= upper ? rangeBuckets(rangeIndex, lower, upper, maxBuckets) : [];
+  if (buckets.length > maxBuckets) {
+    throw new Meteor.Error("bad-query", `The range query of ${path} covers more than ${maxBuckets} buckets`);
+  }
+  return { $in: buckets.map(bucket => blindIndexValue(rangeIndex.key, bucket)) };
+}
+
+function inRange(value, { $gt, $gte, $lt, $lte }) {
+  return ($gt === undefined || value > $gt)
+    && ($gte === undefined || value >= $gte)
+    && ($lt === undefined || value < $lt)
+    && ($lte === undefined || value <= $lte);
+}
+
+function valueAtPath(doc, path) {
+  return path.split(".").reduce((value, part) => value?.[part], doc);
+}
+
+function projectionIncludes(projection, path) {
+  const entries = projection ? Object.entries(projection).filter(([field]) => field !== "_id") : [];
+  const covers = field => field === path || path.startsWith(`${field}.`);
+  if (entries.some(([, value]) => value === 1 || value === true)) {
+    return entries.some(([field, value]) => value && covers(field));
+  }
+  return !entries.some(([field, value]) => !value && covers(field));
+}
+
+// the buckets of a range query only narrow the results, returns a function that checks the decrypted documents really match
+// or undefined if the selector has no range queries.
+function rangeFilter(encryptionOptions, selector, options, originalMethodName, originalMethodArgs) {
+  if (!encryptionOptions?.schema || !selector || typeof selector !== "object") {
+    return undefined;
+  }
+  const clauses = [];
+  const collect = (subSelector, inDisjunction) => {
+    Object.entries(subSelector).forEach(([key, value]) => {
+      if (key === "$and" || key === "$or" || key === "$nor") {
+        value.forEach(clause => collect(clause, inDisjunction || key !== "$and"));
+        return;
+      }
+      if (key.startsWith("$")) {
+        return;
+      }
+      const { rangeIndex } = encryptionOptions.schema.encryptionOptions(key, originalMethodName, originalMethodArgs) || {};
+      const { range } = splitRangeOperators(value, rangeIndex);
+      if (!range) {
+        return;
+      }
+      if (inDisjunction) {
+        throw new Meteor.Error("unsupported-operator", `Range queries of ${key} can't be used within $or or $nor`);
+      }
+      if (!projectionIncludes(projectionOf(options), key)) {
+        throw new Meteor.Error("bad-projection", `The projection must include ${key}, it is range queried`);
+      }
+      clauses.push({ path: key, rangeIndex, range });
+    });
+  };
+  collect(selector, false);
+  if (!clauses.length) {
+    return undefined;
+  }
+  return doc => clauses.every(({ path, rangeIndex, range }) => {
+    const value = valueAtPath(doc, path);
+    return rangeBucket(rangeIndex, value) !== undefined && inRange(value, range);
+  });
+}
+
+function joinPath(prefix, key) {
+  return prefix ? `${prefix}.${key}` : `${key}`;
+}
+
+function isOperatorObject(value) {
+  return value && typeof value === "object" && !Array.isArray(value) && !isBinary(value) && !(value instanceof Date)
+    && Object.keys(value).some(key => key.startsWith("$"));
+}
+
+// either throws or warns (depending on the strict option) when an operator that can't work over encrypted values is used on an encrypted field
+function reportUnsupportedOperator(encryptionOptions, operator, path) {
+  const message = `The ${operator} operator can't be used on the encrypted field ${path}`;
+  if (encryptionOptions.strict === "warn") {
+    console.warn(`znewsham:auto-encrypt: ${message}`);
+    return;
+  }
+  throw new Meteor.Error("unsupported-operator", message);
+}
+
+function checkUnsupportedOperator({
+  operator,
+  value,
+  currentSchema,
+  originalMethodName,
+  originalMethodArgs,
+  encryptionOptions,
+  actualKey,
+  path
+}) {
+  // we're operating over a specific field, e.g., { field: { $in: [], $gt: 1 } }
+  if (actualKey) {
+    if (encryptedPathOptions(currentSchema, actualKey, originalMethodName, originalMethodArgs)) {
+      reportUnsupportedOperator(encryptionOptions, operator, joinPath(path, actualKey));
+    }
+  }
+  // the top level of a selector, we can only reason about $expr, $where could touch anything
+  else if (operator === "$expr") {
+    fieldReferences(value)
+    .filter(ref => encryptedPathOptions(currentSchema, ref, originalMethodName, originalMethodArgs))
+    .forEach(ref => reportUnsupportedOperator(encryptionOptions, operator, joinPath(path, ref)));
+  }
+  else if (operator === "$where") {
+    reportUnsupportedOperator(encryptionOptions, operator, path || "(any field)");
+  }
+}
+
+function isReplacement(mutator) {
+  return !Object.keys(mutator).some(key => key.startsWith("$"));
+}
+
+function isBinary(value) {
+  return value instanceof Uint8Array || value instanceof MongoInternals.NpmModule.Binary;
+}
+
+// the encrypted values read from the driver are binaries of subtype 6
+function isCiphertext(value) {
+  return value instanceof MongoInternals.NpmModule.Binary && value.sub_type === 6;
+}
+
+// returns the (entry) encryption options of a path, or an empty object if the path isn't encrypted itself but contains encrypted fields
+function encryptedPathOptions(schema, path, originalMethodName, originalMethodArgs) {
+  const entryEncryptionOptions = schema.encryptionOptions(path, originalMethodName, originalMethodArgs);
+  if (entryEncryptionOptions) {
+    return entryEncryptionOptions;
+  }
+  return schema.get(path) instanceof EncryptionSchema ? {} : false;
+}
+
+// finds all the "$field" references within an aggregation expression
+function fieldReferences(expression, refs = []) {
+  if (typeof expression === "string" && expression.startsWith("$") && !expression.startsWith("$$")) {
+    refs.push(expression.slice(1));
+  }
+  else if (expression && typeof expression === "object") {
+    Object.values(expression).forEach(value => fieldReferences(value, refs));
+  }
+  return refs;
+}
+
+function isSimpleProjection(projection) {
+  return Object.values(projection).every(value => [0, 1, true, false].includes(value));
+}
+
+// meteor calls it fields, the driver calls it projection
+function projectionOf(options) {
+  return options?.fields || options?.projection;
+}
+
+// projections can't look inside encrypted values - so projecting into a field encrypted as a whole, or using $slice or $elemMatch on an encrypted array, is rejected
+function validateProjection(encryptionOptions, projection, originalMethodName, originalMethodArgs) {
+  if (!projection || !encryptionOptions?.schema) {
+    return;
+  }
+  const { schema } = encryptionOptions;
+  Object.entries(projection).forEach(([path, value]) => {
+    const parts = path.split(".").filter(part => part !== "$");
+    parts.slice(0, -1).forEach((part, index) => {
+      const prefix = parts.slice(0, index + 1).join(".");
+      if (schema.encryptionOptions(prefix, originalMethodName, originalMethodArgs)) {
+        throw new Meteor.Error("bad-projection", `You can't project ${path}, ${prefix} is encrypted as a whole`);
+      }
+    });
+    const operator = isOperatorObject(value) && ["$slice", "$elemMatch"].find(op => op in value);
+    if (operator && schema.encryptionOptions(parts.join("."), originalMethodName, originalMethodArgs)) {
+      throw new Meteor.Error("bad-projection", `You can't use ${operator} on ${path}, it is encrypted as a whole`);
+    }
+  });
+}
+
+// with an inclusion projection, only the schema entries of the projected fields are needed to decrypt the results
+function projectEncryptionOptions(projection) {
+  const included = projection && Object.entries(projection)
+  .filter(([path, value]) => path !== "_id" && (value === 1 || value === true))
+  .map(([path]) => path);
+  if (!included?.length) {
+    return encryptionOptions => encryptionOptions;
+  }
+  const projectedSchemas = new WeakMap();
+  return (encryptionOptions) => {
+    if (!encryptionOptions?.schema) {
+      return encryptionOptions;
+    }
+    if (!projectedSchemas.has(encryptionOptions.schema)) {
+      projectedSchemas.set(encryptionOptions.schema, encryptionOptions.schema.project(included));
+    }
+    return { ...encryptionOptions, schema: projectedSchemas.get(encryptionOptions.schema) };
+  };
+}
+
 
 /** @this EncryptedCollection */
-function wrapCursor(cursor, rootEncryptionOptions, originalMethodArgs) {
+function wrapCursor(cursor, rootEncryptionOptions, originalMethodArgs, unencryptedSelector, postFilter) {
   const origFetch = cursor.fetch;
   const origForEach = cursor.forEach;
   const origMap = cursor.map;
+  const origCount = cursor.count;
+  const origObserveChanges = cursor.observeChanges;
+  const origFetchAsync = cursor.fetchAsync;
+  const origCountAsync = cursor.countAsync;
   const quickEncrypt = originalMethodArgs?.options?.fastAutoEncryption;
 
+  const lazyDecrypt = originalMethodArgs?.options?.lazyDecrypt;
+  if (lazyDecrypt && !fibersAvailable) {
+    throw new Meteor.Error("unsupported-option", "lazyDecrypt requires fibers");
+  }
+
+  const project = projectEncryptionOptions(projectionOf(originalMethodArgs?.options));
+
+  const decrypt = (docs, methodName) => decryptDocuments(
+    docs,
+    methodName,
+    originalMethodArgs,
+    doc => project(quickEncrypt ? rootEncryptionOptions : this.encryptionOptions(methodName, { document: doc, ...originalMethodArgs })),
+    lazyDecrypt
+  );
+
+  // range queries match whole buckets, so the decrypted results are filtered (see rangeFilter) - and only then skipped and limited
+  const filterResults = (docs, applySkipLimit = true) => {
+    if (!postFilter) {
+      return docs;
+    }
+    const matching = docs.filter(postFilter.matches);
+    if (!applySkipLimit) {
+      return matching;
+    }
+    const skip = postFilter.skip || 0;
+    return matching.slice(skip, postFilter.limit ? skip + postFilter.limit : undefined);
+  };
+
+  // without fibers we can't encrypt the selector in find, so we do it the first time the cursor is used.
+  let selectorPromise;
+  const ensureSelector = () => {
+    if (!unencryptedSelector) {
+      return Promise.resolve();
+    }
+    if (!selectorPromise) {
+      selectorPromise = this._encryptSelectorAsync(unencryptedSelector, "find", originalMethodArgs, rootEncryptionOptions)
+      .then((selector) => {
+        cursor._cursorDescription.selector = selector;
+      });
+    }
+    return selectorPromise;
+  };
+
+  // lazily decrypted fields are decrypted synchronously when read, which the async API may do outside of a fiber
+  const rejectLazyDecrypt = () => {
+    if (lazyDecrypt) {
+      throw new Meteor.Error("unsupported-option", "lazyDecrypt can only be used with fetch, forEach and map");
+    }
+  };
+
+  const fetchDecrypted = async (methodName) => {
+    rejectLazyDecrypt();
+    await ensureSelector();
+    const results = fibersAvailable ? origFetch.call(cursor) : await origFetchAsync.call(cursor);
+    return filterResults(await decrypt(results, methodName));
+  };
+
   cursor.fetch = (...args) => {
     const results = origFetch.call(cursor, ...args);
-    return results.map((doc) => {
-      const encryptionOptions = quickEncrypt ? rootEncryptionOptions : this.encryptionOptions("fetch", { document: doc, ...originalMethodArgs });
+    return filterResults(Promise.await(decrypt(results, "fetch")));
+  };
+
+  cursor.forEach = (fn, thisArg) => {
+    if (postFilter) {
+      cursor.fetch().forEach((doc, index) => fn.call(thisArg, doc, index, cursor));
+      return;
+    }
+    origForEach.call(cursor, (doc, ...rest) => fn.call(thisArg, Promise.await(decrypt([doc], "forEach"))[0], ...rest));
+  };
+
+  cursor.map = (fn, thisArg) => {
+    if (postFilter) {
+      return cursor.fetch().map((doc, index) => fn.call(thisArg, doc, index, cursor));
+    }
+    return origMap.call(cursor, (doc, ...rest) => fn.call(thisArg, Promise.await(decrypt([doc], "map"))[0], ...rest));
+  };
+
+  if (postFilter) {
+    cursor.count = (applySkipLimit = true) => filterResults(Promise.await(decrypt(origFetch.call(cursor), "count")), applySkipLimit).length;
+  }
+
+  cursor.fetchAsync = () => fetchDecrypted("fetch");
+
+  cursor.forEachAsync = async (fn, thisArg) => {
+    const results = await fetchDecrypted("forEach");
+    // one document at a time, as with forEach
+    await results.reduce((previous, doc, i) => previous.then(() => fn.call(thisArg, doc, i, cursor)), Promise.resolve());
+  };
+
+  cursor.mapAsync = async (fn, thisArg) => {
+    const results = await fetchDecrypted("map");
+    return results.reduce((previous, doc, i) => previous.then(async (mapped) => {
+      mapped.push(await fn.call(thisArg, doc, i, cursor));
+      return mapped;
+    }), Promise.resolve([]));
+  };
+
+  // the original iterates the raw documents
+  cursor[Symbol.asyncIterator] = () => {
+    let resultsPromise;
+    let index = 0;
+    return {
+      next: async () => {
+        resultsPromise = resultsPromise || fetchDecrypted("forEach");
+        const results = await resultsPromise;
+        return index < results.length ? { value: results[index++], done: false } : { value: undefined, done: true };
+      }
+    };
+  };
+
+  cursor.countAsync = async (...args) => {
+    await ensureSelector();
+    if (postFilter) {
+      rejectLazyDecrypt();
+      const results = fibersAvailable ? origFetch.call(cursor) : await origFetchAsync.call(cursor);
+      return filterResults(await decrypt(results, "count"), args[0] ?? true).length;
+    }
+    return fibersAvailable ? origCount.call(cursor, ...args) : origCountAsync.call(cursor, ...args);
+  };
+
+  // with a range query, documents are only added once their decrypted values match - and are removed once they don't
+  const filterCallbacks = (callbacks) => {
+    if (callbacks.addedBefore || callbacks.movedBefore || postFilter.skip || postFilter.limit) {
+      throw new Meteor.Error("unsupported-operation", "Range queries can't be observed in order, or with a skip or limit");
+    }
+    const documents = new Map();
+    const visible = new Set();
+    return {
+      added(id, fields) {
+        documents.set(id, { _id: id, ...fields });
+        if (postFilter.matches(documents.get(id))) {
+          visible.add(id);
+          callbacks.added?.(id, fields);
+        }
+      },
+      changed(id, fields) {
+        const document = documents.get(id);
+        Object.entries(fields).forEach(([key, value]) => {
+          if (value === undefined) {
+            delete document[key];
+          }
+          else {
+            document[key] = value;
+          }
+        });
+        if (!postFilter.matches(document)) {
+          if (visible.delete(id)) {
+            callbacks.removed?.(id);
+          }
+        }
+        else if (visible.has(id)) {
+          callbacks.changed?.(id, fields);
+        }
+        else {
+          visible.add(id);
+          const { _id, ...rest } = document;
+          callbacks.added?.(id, rest);
+        }
+      },
+      removed(id) {
+        documents.delete(id);
+        if (visible.delete(id)) {
+          callbacks.removed?.(id);
+        }
+      }
+    };
+  };
+
+  // observe is implemented on top of the cursor's observeChanges, as are publications - so this covers all three.
+  // the fields passed to these callbacks may be shared with other observers, so we never decrypt in place
+  cursor.observeChanges = (observerCallbacks, ...args) => {
+    const callbacks = postFilter ? filterCallbacks(observerCallbacks) : observerCallbacks;
+    // we only get the changed fields, but the encryption options may depend on the rest of the document
+    const documents = new Map();
+    const decryptFields = (id, fields, methodName) => {
+      let document = { _id: id, ...fields };
+      let encryptionOptions = rootEncryptionOptions;
+      if (!quickEncrypt) {
+        document = { ...documents.get(id), ...document };
+        documents.set(id, document);
+        encryptionOptions = this.encryptionOptions(methodName, { document, ...originalMethodArgs });
+      }
+      encryptionOptions = project(encryptionOptions);
       if (!encryptionOptions?.schema) {
-        return doc;
+        return Promise.resolve(fields);
       }
-      return newFunction({
-        inPlace: true,
+      return convert({
         conversionFn: __decryptConversionFunction,
-        currentObj: doc,
+        currentObj: fields,
         currentSchema: encryptionOptions.schema,
-        originalMethodArgs: { document: doc, ...originalMethodArgs },
-        originalMethodName: "fetch",
+        originalMethodArgs: { document, ...originalMethodArgs },
+        originalMethodName: methodName,
         encryptionOptions
       });
+    };
+
+    // without fibers the decryption completes asynchronously, we chain the callbacks so they're still called in order
+    let queue = Promise.resolve();
+    const deliver = (fn) => {
+      if (fibersAvailable) {
+        return fn();
+      }
+      queue = queue.then(fn).catch(e => Meteor._debug("Exception in observeChanges callback", e));
+      return undefined;
+    };
+    const wrappedCallbacks = { ...callbacks };
+    ["added", "addedBefore", "changed"].forEach((callbackName) => {
+      if (callbacks[callbackName]) {
+        wrappedCallbacks[callbackName] = (id, fields, ...rest) => {
+          const decrypted = decryptFields(id, fields, "observeChanges");
+          if (fibersAvailable) {
+            return callbacks[callbackName](id, Promise.await(decrypted), ...rest);
+          }
+          return deliver(() => decrypted.then(decryptedFields => callbacks[callbackName](id, decryptedFields, ...rest)));
+        };
+      }
     });
+    if (callbacks.movedBefore) {
+      wrappedCallbacks.movedBefore = (...rest) => deliver(() => callbacks.movedBefore(...rest));
+    }
+    wrappedCallbacks.removed = (id, ...rest) => {
+      documents.delete(id);
+      return deliver(() => callbacks.removed?.(id, ...rest));
+    };
+    const observe = () => origObserveChanges.call(cursor, wrappedCallbacks, ...args);
+    if (fibersAvailable) {
+      return observe();
+    }
+    // the initial adds are made before the handle is returned, but their decryption hasn't finished yet. We wait for it,
+    // otherwise (e.g.,) a publication would be marked ready before its documents were sent.
+    return ensureSelector().then(observe).then(handle => queue.then(() => handle));
   };
 
-  cursor.forEach = (fn) => {
-    origForEach.call(cursor, (doc, ...args) => {
-      const encryptionOptions = quickEncrypt ? rootEncryptionOptions : this.encryptionOptions("forEach", { document: doc, ...originalMethodArgs });
-      if (!encryptionOptions?.schema) {
-        return doc;
+  cursor.observeChangesAsync = async (callbacks, ...args) => {
+    await ensureSelector();
+    return cursor.observeChanges(callbacks, ...args);
+  };
+}
+
+// the driver's cursors are created synchronously, but we can't encrypt the selector (or pipeline) until we're async
+// so we record any chained modifiers and apply them to the real cursor the first time it's used.
+function lazyDriverCursor(createCursor, decrypt) {
+  const decryptOne = (doc, methodName) => decrypt([doc], methodName).then(([decrypted]) => decrypted);
+  const modifiers = [];
+  let cursorPromise;
+  const getCursor = () => {
+    if (!cursorPromise) {
+      cursorPromise = createCursor().then(cursor => modifiers.reduce((aCursor, [name, args]) => aCursor[name](...args), cursor));
+    }
+    return cursorPromise;
+  };
+  const lazyCursor = {
+    async toArray() {
+      return decrypt(await (await getCursor()).toArray(), "fetch");
+    },
+    async next() {
+      const doc = await (await getCursor()).next();
+      return doc && decryptOne(doc, "fetch");
+    },
+    async hasNext() {
+      return (await getCursor()).hasNext();
+    },
+    async forEach(fn) {
+      const cursor = await getCursor();
+      const step = async () => {
+        if (await cursor.hasNext()) {
+          fn(await decryptOne(await cursor.next(), "forEach"));
+          await step();
+        }
+      };
+      await step();
+    },
+    async count(...args) {
+      return (await getCursor()).count(...args);
+    },
+    async close() {
+      return cursorPromise && (await cursorPromise).close();
+    },
+    [Symbol.asyncIterator]() {
+      return {
+        next: async () => ((await lazyCursor.hasNext()) ? { value: await lazyCursor.next(), done: false } : { value: undefined, done: true })
+      };
+    }
+  };
+  ["sort", "limit", "skip", "project", "batchSize", "hint", "collation", "maxTimeMS", "comment", "allowDiskUse"].forEach((name) => {
+    lazyCursor[name] = (...args) => {
+      if (cursorPromise) {
+        throw new Meteor.Error("cursor-in-use", `You can't call ${name} on a cursor that has already been used`);
       }
-      const decrypted = newFunction({
-        inPlace: true,
-        conversionFn: __decryptConversionFunction,
-        currentObj: doc,
-        currentSchema: encryptionOptions.schema,
-        originalMethodArgs: { document: doc, ...originalMethodArgs },
-        originalMethodName: "forEach",
-        encryptionOptions
-      });
-      fn(decrypted, ...args);
-    });
+      modifiers.push([name, args]);
+      return lazyCursor;
+    };
+  });
+  return lazyCursor;
+}
+
+// returns a proxy of the driver's collection which encrypts the filters, updates and documents that are passed to it, and decrypts the documents it returns
+// the wrapped methods only return promises, they don't accept callbacks.
+// the driver's collection methods that don't take a document, filter or update, so can be used as they are
+const passthroughRawCollectionMethods = new Set([
+  "indexes", "indexExists", "indexInformation", "listIndexes", "createIndex", "createIndexes", "dropIndex", "dropIndexes",
+  "estimatedDocumentCount", "stats", "options", "isCapped"
+]);
+
+function wrapRawCollection(rawCollection) {
+  const decryptResult = (doc, argsForFn) => {
+    if (!doc) {
+      return doc;
+    }
+    const encryptionOptions = this.encryptionOptions("result", { document: doc, ...argsForFn });
+    return decryptDocument(doc, "findOne", argsForFn, encryptionOptions);
   };
 
-  cursor.map = fn => origMap.call(cursor, (doc, ...args) => {
-    const encryptionOptions = quickEncrypt ? rootEncryptionOptions : this.encryptionOptions("map", { document: doc, ...originalMethodArgs });
+  // the driver adds the generated _id to the document it inserts - which is our encrypted copy
+  const insertDocument = async (doc, options) => {
+    const argsForFn = { document: doc, options };
+    const encryptionOptions = this.encryptionOptions("insert", argsForFn);
     if (!encryptionOptions?.schema) {
       return doc;
     }
-    const decrypted = newFunction({
-      inPlace: true,
-      conversionFn: __decryptConversionFunction,
-      currentObj: doc,
-      currentSchema: encryptionOptions.schema,
-      originalMethodArgs: { document: doc, ...originalMethodArgs },
-      originalMethodName: "map",
-      encryptionOptions
+    return this._encryptInsertAsync(doc, argsForFn, encryptionOptions);
+  };
+  const copyIds = (docs, encryptedDocs) => {
+    docs.forEach((doc, index) => {
+      if (doc._id === undefined && encryptedDocs[index]._id !== undefined) {
+        doc._id = encryptedDocs[index]._id;
+      }
     });
-    return fn(decrypted, ...args);
+  };
+
+  const encryptFilter = (filter, methodName, argsForFn) => {
+    // these cursors can't filter the results of range queries (see rangeFilter)
+    if (rangeFilter(this.encryptionOptions(methodName, argsForFn), filter, undefined, methodName, argsForFn)) {
+      throw new Meteor.Error("unsupported-operation", "Range queries can't be used with the raw collection");
+    }
+    return this._encryptSelectorAsync(filter || {}, methodName, argsForFn);
+  };
+  const encryptUpdate = (filter, update, options) => {
+    const argsForFn = { selector: filter, mutator: update, options };
+    return this._encryptUpdateAsync(filter || {}, update, argsForFn, this.encryptionOptions("update", argsForFn));
+  };
+
+  const wrappers = {
+    find: (filter, options = {}) => {
+      const { fastAutoEncryption, ...findOptions } = options;
+      const argsForFn = { selector: filter, options };
+      const rootEncryptionOptions = this.encryptionOptions("find", argsForFn);
+      validateProjection(rootEncryptionOptions, projectionOf(options), "find", argsForFn);
+      const project = projectEncryptionOptions(projectionOf(options));
+      return lazyDriverCursor(
+        async () => rawCollection.find(await encryptFilter(filter, "find", argsForFn), findOptions),
+        (docs, methodName) => decryptDocuments(
+          docs,
+          methodName,
+          argsForFn,
+          doc => project(fastAutoEncryption ? rootEncryptionOptions : this.encryptionOptions(methodName, { document: doc, ...argsForFn }))
+        )
+      );
+    },
+    findOne: async (filter, options) => {
+      const argsForFn = { selector: filter, options };
+      validateProjection(this.encryptionOptions("findOne", argsForFn), projectionOf(options), "findOne", argsForFn);
+      return decryptResult(await rawCollection.findOne(await encryptFilter(filter, "findOne", argsForFn), options), argsForFn);
+    },
+    countDocuments: async (filter, options) => rawCollection.countDocuments(await encryptFilter(filter, "find", { selector: filter, options }), options),
+    distinct: (field, filter, options) => this.distinctAsync(field, filter, options),
+    aggregate: (pipeline, options = {}) => {
+      const argsForFn = { pipeline, options, selector: pipeline[0]?.$match };
+      const rootEncryptionOptions = this.encryptionOptions("aggregate", argsForFn);
+      let shapeKnown;
+      return lazyDriverCursor(
+        async () => {
+          const encrypted = await this._encryptPipelineAsync(pipeline, argsForFn, rootEncryptionOptions);
+          shapeKnown = encrypted.shapeKnown;
+          return rawCollection.aggregate(encrypted.pipeline, options);
+        },
+        docs => decryptDocuments(
+          docs,
+          "aggregate",
+          argsForFn,
+          doc => rootEncryptionOptions && shapeKnown && this.encryptionOptions("aggregate", { document: doc, ...argsForFn })
+        )
+      );
+    },
+    insertOne: async (doc, options) => {
+      const encryptedDoc = await insertDocument(doc, options);
+      const result = await rawCollection.insertOne(encryptedDoc, options);
+      copyIds([doc], [encryptedDoc]);
+      return result;
+    },
+    insertMany: async (docs, options) => {
+      const encryptedDocs = await Promise.all(docs.map(doc => insertDocument(doc, options)));
+      const result = await rawCollection.insertMany(encryptedDocs, options);
+      copyIds(docs, encryptedDocs);
+      return result;
+    },
+    replaceOne: async (filter, doc, options) => rawCollection.replaceOne(...(await encryptUpdate(filter, doc, options)), options),
+    deleteOne: async (filter, options) => rawCollection.deleteOne(await encryptFilter(filter, "remove", { selector: filter, options }), options),
+    deleteMany: async (filter, options) => rawCollection.deleteMany(await encryptFilter(filter, "remove", { selector: filter, options }), options),
+    findOneAndDelete: async (filter, options) => {
+      const argsForFn = { selector: filter, options };
+      const result = await rawCollection.findOneAndDelete(await encryptFilter(filter, "remove", argsForFn), options);
+      result.value = await decryptResult(result.value, argsForFn);
+      return result;
+    },
+    bulkWrite: async (operations, options) => {
+      const insertedDocs = [];
+      const encryptedOperations = await Promise.all(operations.map(async (operation) => {
+        const [name] = Object.keys(operation);
+        const {
+          filter, update, replacement, document, ...operationOptions
+        } = operation[name];
+        // each operation has its own options (e.g., upsert)
+        const updateOptions = { ...options, ...operationOptions };
+        if (name === "insertOne") {
+          const encryptedDoc = await insertDocument(document, options);
+          insertedDocs.push([document, encryptedDoc]);
+          return { insertOne: { ...operation[name], document: encryptedDoc } };
+        }
+        if (name === "updateOne" || name === "updateMany") {
+          const [encryptedFilter, encryptedUpdate] = await encryptUpdate(filter, update, updateOptions);
+          return { [name]: { ...operation[name], filter: encryptedFilter, update: encryptedUpdate } };
+        }
+        if (name === "replaceOne") {
+          const [encryptedFilter, encryptedReplacement] = await encryptUpdate(filter, replacement, updateOptions);
+          return { [name]: { ...operation[name], filter: encryptedFilter, replacement: encryptedReplacement } };
+        }
+        if (name === "deleteOne" || name === "deleteMany") {
+          return { [name]: { ...operation[name], filter: await encryptFilter(filter, "remove", { selector: filter, options: updateOptions }) } };
+        }
+        throw new Meteor.Error("unsupported-operation", `Unsupported bulkWrite operation ${name}`);
+      }));
+      const result = await rawCollection.bulkWrite(encryptedOperations, options);
+      insertedDocs.forEach(([doc, encryptedDoc]) => copyIds([doc], [encryptedDoc]));
+      return result;
+    }
+  };
+  ["updateOne", "updateMany"].forEach((name) => {
+    wrappers[name] = async (filter, update, options) => rawCollection[name](...(await encryptUpdate(filter, update, options)), options);
+  });
+  ["findOneAndUpdate", "findOneAndReplace"].forEach((name) => {
+    wrappers[name] = async (filter, update, options) => {
+      const result = await rawCollection[name](...(await encryptUpdate(filter, update, options)), options);
+      result.value = await decryptResult(result.value, { selector: filter, options });
+      return result;
+    };
+  });
+
+  return new Proxy(rawCollection, {
+    get(target, prop) {
+      if (Object.prototype.hasOwnProperty.call(wrappers, prop)) {
+        return wrappers[prop];
+      }
+      const value = Reflect.get(target, prop);
+      if (typeof value !== "function") {
+        return value;
+      }
+      // any other method that takes a document, filter or update would bypass the encryption
+      if (!passthroughRawCollectionMethods.has(prop)) {
+        return () => {
+          throw new Meteor.Error("unsupported-operation", `${String(prop)} can't be used with the encrypted raw collection`);
+        };
+      }
+      return value.bind(target);
+    }
+  });
+}
+
+// walks the documents matching selector in _id order, one batch at a time. The last _id processed is stored in the checkpoint document
+// so calling this again with the same jobId (e.g., after a restart) continues where it stopped. The checkpoint is removed once complete.
+// processDocument returns false if it had to skip the document, the _ids of these are returned (and kept in the checkpoint)
+async function processInBatches({
+  rawCollection,
+  checkpoints,
+  jobId,
+  selector,
+  batchSize,
+  concurrency,
+  onProgress
+}, processDocument) {
+  const checkpoint = await checkpoints.findOne({ _id: jobId });
+  const processBatch = async (lastId, processed, skipped) => {
+    const batchSelector = lastId === undefined ? selector : { $and: [selector, { _id: { $gt: lastId } }] };
+    const batch = await rawCollection.find(batchSelector).sort({ _id: 1 }).limit(batchSize).toArray();
+    if (!batch.length) {
+      return { processed, skipped };
+    }
+    const batchSkipped = [...skipped];
+    await runJobs(batch.map(doc => async () => {
+      if (await processDocument(doc) === false) {
+        batchSkipped.push(doc._id);
+      }
+    }), concurrency);
+    const batchLastId = batch[batch.length - 1]._id;
+    const batchProcessed = processed + batch.length;
+    await checkpoints.updateOne(
+      { _id: jobId },
+      { $set: { lastId: batchLastId, processed: batchProcessed, skipped: batchSkipped, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    await onProgress?.({ processed: batchProcessed, lastId: batchLastId });
+    return batch.length === batchSize ? processBatch(batchLastId, batchProcessed, batchSkipped) : { processed: batchProcessed, skipped: batchSkipped };
+  };
+  const result = await processBatch(checkpoint?.lastId, checkpoint?.processed || 0, checkpoint?.skipped || []);
+  await checkpoints.deleteOne({ _id: jobId });
+  return result;
+}
+
+// transform returns the new document, and the top level fields to write (fields missing from the new document are unset).
+// The update only applies if those fields haven't changed since the document was read, otherwise the document is read again
+// and transformed again - at most attempts times, after which it returns false.
+async function rewriteDocument(rawCollection, current, transform, attempts = REWRITE_DOCUMENT_ATTEMPTS) {
+  if (!current) {
+    return true;
+  }
+  const { document, fields } = await transform(current);
+  if (!fields.length) {
+    return true;
+  }
+  const filter = { _id: current._id };
+  const $set = {};
+  const $unset = {};
+  fields.forEach((key) => {
+    filter[key] = key in current ? current[key] : { $exists: false };
+    if (key in document) {
+      $set[key] = document[key];
+    }
+    else {
+      $unset[key] = "";
+    }
   });
+  const modifier = Object.fromEntries(Object.entries({ $set, $unset }).filter(([, fieldValues]) => Object.keys(fieldValues).length));
+  const { matchedCount } = await rawCollection.updateOne(filter, modifier);
+  if (matchedCount) {
+    return true;
+  }
+  if (attempts <= 1) {
+    return false;
+  }
+  return rewriteDocument(rawCollection, await rawCollection.findOne({ _id: current._id }), transform, attempts - 1);
 }
 
 export class EncryptionSchema {
   constructor(schema, parent) {
     this._parent = parent;
     schema = flatten(schema);
+    this._flatSchema = schema;
     this._map = new Map();
     this._deepMap = new Map();
     this._isArray = false;
@@ -240,6 +1709,22 @@ export class EncryptionSchema {
     }
   }
 
+  // returns a schema with only the entries that can be within (or contain) one of the paths
+  project(paths) {
+    const pathsParts = paths.map(path => path.split(".").filter(part => part !== "$"));
+    const projected = {};
+    Object.entries(this._flatSchema).forEach(([key, value]) => {
+      const keyParts = key.split(".").filter(part => part !== "$");
+      const matches = pathsParts.some(pathParts => pathParts
+      .slice(0, keyParts.length)
+      .every((part, index) => keyParts[index] === part || keyParts[index] === "*"));
+      if (matches) {
+        projected[key] = value;
+      }
+    });
+    return new EncryptionSchema(projected);
+  }
+
   encryptionOptions(str, ...args) {
     let ret = this.get(str);
     if (!ret && !["*", "$"].includes(str)) {
@@ -296,6 +1781,66 @@ export class EncryptedCollection extends Meteor.Collection {
   static reset() {
     encryptionClientsByMongoClient.clear();
     dataKeysByEncryptionClient.clear();
+    keyVaultIndexesByMongoClient.clear();
+    keyCacheOptions = { maxSize: Infinity, ttl: Infinity };
+    fibersAvailable = fibersPresent;
+  }
+
+  // used by testing, to run the code used when fibers aren't available (until reset)
+  static disableFibers() {
+    fibersAvailable = false;
+  }
+
+  // re-encrypts the data keys in the key vault with a new master key, the data keys themselves (and so the encrypted documents) don't change.
+  // only the local provider is supported, the others would require calls to the KMS provider.
+  static async rotateMasterKey({
+    keyVaultNamespace,
+    kmsProviders,
+    fromMasterKey = kmsProviders?.local?.key,
+    toMasterKey,
+    keyAltNames,
+    mongoClient = MongoInternals.defaultRemoteCollectionDriver().mongo.client
+  }) {
+    if (!fromMasterKey || !toMasterKey) {
+      throw new Meteor.Error("bad-master-key", "Both fromMasterKey and toMasterKey are required");
+    }
+    const keyVault = namespaceCollection(mongoClient, keyVaultNamespace);
+    const selector = keyAltNames ? { keyAltNames: { $in: keyAltNames } } : {};
+    const dataKeys = await keyVault.find(selector).toArray();
+    const unsupported = dataKeys.find(({ masterKey }) => masterKey?.provider !== "local");
+    if (unsupported) {
+      throw new Meteor.Error("unsupported-provider", `Can't rotate the master key of data keys using the ${unsupported.masterKey?.provider} provider`);
+    }
+    const from = Buffer.from(fromMasterKey);
+    const to = Buffer.from(toMasterKey);
+    // unwrap everything before writing anything, so a wrong fromMasterKey doesn't leave the vault half rotated
+    const rewrapped = dataKeys.map(({ _id, keyMaterial }) => ({
+      _id,
+      keyMaterial,
+      newKeyMaterial: wrapLocalKey(to, unwrapLocalKey(from, keyMaterial.value(true)))
+    }));
+    // a key whose keyMaterial changed since it was read (e.g., by a concurrent rotation) isn't overwritten, and is reported as skipped
+    const results = await Promise.all(rewrapped.map(({ _id, keyMaterial, newKeyMaterial }) => keyVault.updateOne(
+      { _id, keyMaterial },
+      { $set: { keyMaterial: new MongoInternals.NpmModule.Binary(newKeyMaterial, 0), updateDate: new Date() } }
+    )));
+    const skipped = rewrapped.filter((dataKey, index) => !results[index].matchedCount).map(({ _id }) => _id);
+
+    // the clients using this key vault were configured with the old master key
+    evictEncryptionClients(mongoClient, keyVaultNamespace);
+    return { rotated: rewrapped.length - skipped.length, skipped };
+  }
+
+  // deletes the data key, so anything encrypted with it can never be decrypted again.
+  // vaults created before the unique index on keyAltNames may hold more than one key with the name, so we delete them all
+  static async shredKey(keyAltName, {
+    keyVaultNamespace,
+    mongoClient = MongoInternals.defaultRemoteCollectionDriver().mongo.client
+  }) {
+    const { deletedCount } = await namespaceCollection(mongoClient, keyVaultNamespace).deleteMany({ keyAltNames: keyAltName });
+    // libmongocrypt caches the decrypted data keys - so we drop the clients too
+    evictEncryptionClients(mongoClient, keyVaultNamespace);
+    return deletedCount > 0;
   }
 
   static ensureEncryptionClient({
@@ -314,46 +1859,73 @@ export class EncryptedCollection extends Meteor.Collection {
     return mongoClientEncryptionClients.get(hash);
   }
 
-  static ensureDataKey(encryptionClient, { provider, masterKey, keyAltName }) {
+  static ensureDataKey(encryptionClient, options) {
+    return Promise.await(EncryptedCollection.ensureDataKeyAsync(encryptionClient, options));
+  }
+
+  static ensureDataKeyAsync(encryptionClient, { provider, masterKey, keyAltName }) {
     if (!dataKeysByEncryptionClient.has(encryptionClient)) {
-      dataKeysByEncryptionClient.set(encryptionClient, new Map());
+      dataKeysByEncryptionClient.set(encryptionClient, new KeyCache(keyCacheOptions));
     }
     const clientDataKeys = dataKeysByEncryptionClient.get(encryptionClient);
-    if (!clientDataKeys.has(keyAltName)) {
-      const promise = encryptionClient._keyVaultClient
-      .db(encryptionClient._keyVaultNamespace.split(".")[0])
-      .collection(encryptionClient._keyVaultNamespace.split(".").slice(1).join("."))
-      .find({}, { _id: 1, keyAltNames: 1, masterKey: 1 })
-      .toArray();
-      const existingKeys = Promise.await(promise);
-      existingKeys.forEach(({ keyAltNames, _id }) => {
-        keyAltNames.forEach((aKeyAltName) => {
-          clientDataKeys.set(aKeyAltName, { masterKey, dataKeyId: _id });
-        });
-      });
-      if (!clientDataKeys.has(keyAltName)) {
-        const dataKeyId = Promise.await(encryptionClient.createDataKey(provider, { masterKey, keyAltNames: [keyAltName] }));
-        clientDataKeys.set(keyAltName, { masterKey: { provider, ...masterKey }, dataKeyId });
-      }
+    let promise = clientDataKeys.get(keyAltName);
+    if (!promise) {
+      // we store the promise so concurrent conversions using the same key only load (or create) it once
+      promise = (async () => {
+        const existingKey = await keyVaultCollection(encryptionClient).findOne({ keyAltNames: keyAltName }, { projection: { _id: 1 } });
+        if (existingKey) {
+          return { masterKey, dataKeyId: existingKey._id };
+        }
+        return { masterKey: { provider, ...masterKey }, dataKeyId: await createDataKey(encryptionClient, { provider, masterKey, keyAltName }) };
+      })();
+      clientDataKeys.set(keyAltName, promise);
+      // don't cache failures, the next call should try again
+      promise.catch(() => clientDataKeys.delete(keyAltName));
     }
+    return promise;
   }
 
-  static encryptValue(
+  // by default every keyAltName used is cached forever, maxSize (an LRU) and ttl (in ms) bound that
+  static configureKeyCache({ maxSize = Infinity, ttl = Infinity } = {}) {
+    keyCacheOptions = { maxSize, ttl };
+    dataKeysByEncryptionClient.clear();
+  }
+
+  static encryptValue(encryptionClient, options, value) {
+    return Promise.await(EncryptedCollection.encryptValueAsync(encryptionClient, options, value));
+  }
+
+  static async encryptValueAsync(
     encryptionClient,
     {
-      provider, masterKey, keyAltName, algorithm
+      provider, masterKey, keyAltName, keyId, keyAltNamePointer, algorithm
     },
     value
   ) {
-    EncryptedCollection.ensureDataKey(encryptionClient, { provider, masterKey, keyAltName });
-    return Promise.await(encryptionClient.encrypt(value, { keyAltName, algorithm }));
+    // a keyId (e.g., from a $jsonSchema) refers to an existing data key
+    if (keyId) {
+      return encryptionClient.encrypt(value, { keyId, algorithm });
+    }
+    // looking up (or creating) a key without a keyAltName would match any key without one
+    if (keyAltName === undefined || keyAltName === null) {
+      const message = keyAltNamePointer
+        ? `The keyId ${keyAltNamePointer} doesn't resolve to a keyAltName in the document being written`
+        : "A keyAltName is required to encrypt a value";
+      throw new Meteor.Error("bad-schema", message);
+    }
+    await EncryptedCollection.ensureDataKeyAsync(encryptionClient, { provider, masterKey, keyAltName });
+    return encryptionClient.encrypt(value, { keyAltName, algorithm });
+  }
+
+  static decryptValue(encryptionClient, buffer) {
+    return Promise.await(EncryptedCollection.decryptValueAsync(encryptionClient, buffer));
   }
 
-  static decryptValue(
+  static decryptValueAsync(
     encryptionClient,
     buffer
   ) {
-    return Promise.await(encryptionClient.decrypt(buffer));
+    return encryptionClient.decrypt(buffer);
   }
 
   constructor(name, options) {
@@ -362,6 +1934,9 @@ export class EncryptedCollection extends Meteor.Collection {
   }
 
   configureEncryption(optionsOrFn, extendOptions = true) {
+    if (typeof optionsOrFn !== "function") {
+      checkConcurrency(optionsOrFn);
+    }
     if (!this.__encryptionOptions || extendOptions === false) {
       extendOptions = false; // we're doing the initial setup
       this.__encryptionOptions = {
@@ -380,60 +1955,97 @@ export class EncryptedCollection extends Meteor.Collection {
         }
       });
     }
-    if (typeof optionsOrFn === "function") {
-      this._encryptionOptions = (...args) => {
-        const returnedConfig = optionsOrFn(...args) || {};
-        const options = Object.assign({}, this.__encryptionOptions);
-        allowedOptions.forEach((option) => {
-          if (returnedConfig[option]) {
-            options[option] = returnedConfig[option];
-          }
-        });
-        if (returnedConfig?.schema) {
-          options.schema = new EncryptionSchema(returnedConfig.schema);
-        }
-        return options;
-      };
-    }
-    else {
-      this._encryptionOptions = Object.assign(
-        {},
-        this.__encryptionOptions, {
-          schema: optionsOrFn?.schema && new EncryptionSchema(optionsOrFn.schema)
-        }
-      );
+    this._encryptionOptions = normalizeEncryptionOptions(this.__encryptionOptions, optionsOrFn);
+  }
 
-      allowedOptions.forEach((option) => {
-        if (optionsOrFn[option]) {
-          this._encryptionOptions[option] = optionsOrFn[option];
-        }
+  // exports the schema as a $jsonSchema for MongoDB's automatic encryption, using the keyIds of the data keys (which are created if they don't exist)
+  async toJsonSchema(originalMethodName = "toJsonSchema", originalMethodArgs = {}) {
+    const encryptionOptions = this.encryptionOptions(originalMethodName, originalMethodArgs);
+    if (!encryptionOptions?.schema) {
+      return undefined;
+    }
+    const entries = await Promise.all(Object.entries(encryptionOptions.schema._flatSchema).map(async ([path, value]) => {
+      if (path.split(".").some(part => part === "$" || part === "*")) {
+        throw new Meteor.Error("unsupported-operation", `MongoDB's automatic encryption can't encrypt ${path}`);
+      }
+      const entryEncryptionOptions = { ...encryptionOptions, ...(typeof value === "function" ? value(originalMethodName, originalMethodArgs) : {}) };
+      const encrypt = { algorithm: entryEncryptionOptions.algorithm };
+      if (entryEncryptionOptions.bsonType) {
+        encrypt.bsonType = entryEncryptionOptions.bsonType;
+      }
+      else if (entryEncryptionOptions.algorithm !== RANDOM_ALGORITHM) {
+        throw new Meteor.Error("bad-schema", `MongoDB requires a bsonType for the deterministically encrypted ${path}`);
+      }
+      if (entryEncryptionOptions.keyAltNamePointer) {
+        encrypt.keyId = entryEncryptionOptions.keyAltNamePointer;
+      }
+      else if (entryEncryptionOptions.keyId) {
+        encrypt.keyId = [entryEncryptionOptions.keyId];
+      }
+      else {
+        const encryptionClient = EncryptedCollection.ensureEncryptionClient(entryEncryptionOptions);
+        const { dataKeyId } = await EncryptedCollection.ensureDataKeyAsync(encryptionClient, entryEncryptionOptions);
+        encrypt.keyId = [dataKeyId];
+      }
+      return [path, encrypt];
+    }));
+    const jsonSchema = { bsonType: "object", properties: {} };
+    entries.forEach(([path, encrypt]) => {
+      const parts = path.split(".");
+      let node = jsonSchema;
+      parts.slice(0, -1).forEach((part) => {
+        node.properties[part] = node.properties[part] || { bsonType: "object", properties: {} };
+        node = node.properties[part];
       });
+      node.properties[parts[parts.length - 1]] = { encrypt };
+    });
+    return jsonSchema;
+  }
+
+  // attaches the SimpleSchema with collection2 (if it's used) - which validates the unencrypted values - and encrypts the fields marked as encrypted
+  attachEncryptedSchema(simpleSchema, attachOptions) {
+    if (typeof this.attachSchema === "function") {
+      if (collection2LoadedFirst) {
+        throw new Meteor.Error("unsupported-operation", "aldeed:collection2 was loaded before znewsham:auto-encrypt, so would validate the encrypted values - list znewsham:auto-encrypt before it in .meteor/packages");
+      }
+      this.attachSchema(simpleSchema, attachOptions);
     }
+    // collection2 combines multiple attached schemas
+    this.configureEncryption({ schema: encryptionSchemaFromSimpleSchema(this.simpleSchema?.() || simpleSchema) });
   }
 
   encryptionOptions(originalMethodName, originalMethodArgs) {
-    return typeof this._encryptionOptions === "function" ? this._encryptionOptions(originalMethodName, originalMethodArgs) : this._encryptionOptions;
+    return resolveEncryptionOptions(this._encryptionOptions, originalMethodName, originalMethodArgs);
   }
 
   _encryptSelector(selector, originalMethodName, originalMethodArgs, encryptionOptions = this.encryptionOptions(originalMethodName, originalMethodArgs)) {
+    return Promise.await(this._encryptSelectorAsync(selector, originalMethodName, originalMethodArgs, encryptionOptions));
+  }
+
+  async _encryptSelectorAsync(selector, originalMethodName, originalMethodArgs, encryptionOptions = this.encryptionOptions(originalMethodName, originalMethodArgs)) {
     if (!encryptionOptions || !encryptionOptions.schema) {
       return selector;
     }
-    return newFunction({
+    return convert({
       conversionFn: __encryptConversionFunction,
       currentObj: selector,
       currentSchema: encryptionOptions.schema,
       originalMethodArgs,
       originalMethodName,
       encryptionOptions,
-      isSelectorOrMutator: true
+      isSelectorOrMutator: true,
+      isSelector: true
     });
   }
 
+  _encryptInsert(doc, originalMethodArgs, encryptionOptions = this.encryptionOptions("insert", originalMethodArgs)) {
+    return Promise.await(this._encryptInsertAsync(doc, originalMethodArgs, encryptionOptions));
+  }
+
   // the meteor mongo_driver does NOT like this to be setup for you - it wants you to give it a buffer and let it convert.
   // so everywhere we're doing encryptValue().buffer
-  _encryptInsert(doc, originalMethodArgs, encryptionOptions = this.encryptionOptions("insert", originalMethodArgs)) {
-    return newFunction({
+  _encryptInsertAsync(doc, originalMethodArgs, encryptionOptions = this.encryptionOptions("insert", originalMethodArgs)) {
+    return convert({
       conversionFn: __encryptConversionFunction,
       currentObj: doc,
       currentSchema: encryptionOptions.schema,
@@ -443,11 +2055,32 @@ export class EncryptedCollection extends Meteor.Collection {
     });
   }
 
+  _encryptReplacement(doc, originalMethodArgs, encryptionOptions = this.encryptionOptions("update", originalMethodArgs)) {
+    return Promise.await(this._encryptReplacementAsync(doc, originalMethodArgs, encryptionOptions));
+  }
+
+  // a mutator without any modifiers replaces the entire document, so is encrypted just like an insert
+  _encryptReplacementAsync(doc, originalMethodArgs, encryptionOptions = this.encryptionOptions("update", originalMethodArgs)) {
+    return convert({
+      conversionFn: __encryptConversionFunction,
+      currentObj: doc,
+      currentSchema: encryptionOptions.schema,
+      originalMethodArgs,
+      originalMethodName: "update",
+      encryptionOptions
+    });
+  }
+
   _encryptMutator(mutator, originalMethodArgs, encryptionOptions = this.encryptionOptions("insert", originalMethodArgs)) {
+    return Promise.await(this._encryptMutatorAsync(mutator, originalMethodArgs, encryptionOptions));
+  }
+
+  async _encryptMutatorAsync(mutator, originalMethodArgs, encryptionOptions = this.encryptionOptions("insert", originalMethodArgs)) {
     const encryptedMutator = {};
-    Object.keys(mutator).forEach((key) => {
-      if (key === "$set") {
-        encryptedMutator[key] = newFunction({
+    await Promise.all(Object.keys(mutator).map(async (key) => {
+      // $setOnInsert only matters for upserts - fields promoted from the selector are already encrypted by _encryptSelector
+      if (key === "$set" || key === "$setOnInsert") {
+        encryptedMutator[key] = await convert({
           conversionFn: __encryptConversionFunction,
           currentObj: mutator[key],
           currentSchema: encryptionOptions.schema,
@@ -458,7 +2091,7 @@ export class EncryptedCollection extends Meteor.Collection {
         });
       }
       else if (["$push", "$addToSet", "$pull"].includes(key)) {
-        encryptedMutator[key] = newFunction({
+        encryptedMutator[key] = await convert({
           conversionFn: __encryptConversionFunction,
           currentObj: mutator[key],
           currentSchema: encryptionOptions.schema,
@@ -469,10 +2102,133 @@ export class EncryptedCollection extends Meteor.Collection {
         });
       }
       else {
+        if (encryptionOptions?.strict && !safeMutatorOperators.has(key)) {
+          Object.entries(mutator[key]).forEach(([path, value]) => {
+            // $rename moves the encrypted value, so it matters whether either side is encrypted
+            (key === "$rename" ? [path, value] : [path])
+            .filter(aPath => encryptedPathOptions(encryptionOptions.schema, aPath.replace(/\.\$\[[^\]]*\]/g, ".$"), "update", originalMethodArgs))
+            .forEach(aPath => reportUnsupportedOperator(encryptionOptions, key, aPath));
+          });
+        }
         encryptedMutator[key] = mutator[key];
+        if (key === "$unset" && encryptionOptions?.schema) {
+          // unsetting a blind (or search) indexed field should unset its indexes too
+          Object.keys(mutator[key]).forEach((path) => {
+            companionFields(encryptionOptions.schema.encryptionOptions(path, "update", originalMethodArgs)).forEach((field) => {
+              encryptedMutator[key] = { ...encryptedMutator[key], [blindIndexPath(path, field)]: "" };
+            });
+          });
+        }
+      }
+    }));
+    // keep the operators in the order they were given
+    return Object.fromEntries(Object.keys(mutator).map(key => [key, encryptedMutator[key]]));
+  }
+
+  _encryptPipeline(pipeline, originalMethodArgs, encryptionOptions = this.encryptionOptions("aggregate", originalMethodArgs)) {
+    return Promise.await(this._encryptPipelineAsync(pipeline, originalMethodArgs, encryptionOptions));
+  }
+
+  // encrypts any $match stages which operate over the documents as they are stored, and rejects stages that can't work over encrypted values.
+  // returns the new pipeline, and whether the output documents still match the schema
+  async _encryptPipelineAsync(pipeline, originalMethodArgs, encryptionOptions = this.encryptionOptions("aggregate", originalMethodArgs)) {
+    let shapeKnown = true;
+    const encryptedPipeline = pipeline.map((stage) => {
+      if (!shapeKnown || !encryptionOptions?.schema) {
+        return stage;
+      }
+      const [stageName] = Object.keys(stage);
+      const { schema } = encryptionOptions;
+      if (stageName === "$match") {
+        return this._encryptSelectorAsync(stage.$match, "aggregate", originalMethodArgs, encryptionOptions).then($match => ({ $match }));
+      }
+      if (stageName === "$sort") {
+        Object.keys(stage.$sort).forEach((path) => {
+          if (encryptedPathOptions(schema, path, "aggregate", originalMethodArgs)) {
+            throw new Meteor.Error("unsupported-stage", `You can't $sort on the encrypted field ${path}`);
+          }
+        });
       }
+      else if (stageName === "$group") {
+        fieldReferences(stage.$group._id).forEach((path) => {
+          const entryEncryptionOptions = encryptedPathOptions(schema, path, "aggregate", originalMethodArgs);
+          if (entryEncryptionOptions && (entryEncryptionOptions.algorithm || encryptionOptions.algorithm) === RANDOM_ALGORITHM) {
+            throw new Meteor.Error("unsupported-stage", `You can't $group by the randomly encrypted field ${path}`);
+          }
+        });
+      }
+      if (!shapePreservingStages.has(stageName) && !(stageName === "$project" && isSimpleProjection(stage.$project))) {
+        shapeKnown = false;
+      }
+      return stage;
     });
-    return encryptedMutator;
+    return { pipeline: await Promise.all(encryptedPipeline), shapeKnown };
+  }
+
+  aggregate(pipeline, options = {}) {
+    return Promise.await(this.aggregateAsync(pipeline, options));
+  }
+
+  async aggregateAsync(pipeline, options = {}) {
+    const { fastAutoEncryption, ...aggregateOptions } = options;
+    const argsForFn = { pipeline, options, selector: pipeline[0]?.$match };
+    const rootEncryptionOptions = this.encryptionOptions("aggregate", argsForFn);
+    const { pipeline: encryptedPipeline, shapeKnown } = await this._encryptPipelineAsync(pipeline, argsForFn, rootEncryptionOptions);
+    const results = await this.rawCollection().aggregate(encryptedPipeline, aggregateOptions).toArray();
+    if (!rootEncryptionOptions || !shapeKnown) {
+      return results;
+    }
+    return decryptDocuments(
+      results,
+      "aggregate",
+      argsForFn,
+      doc => (fastAutoEncryption ? rootEncryptionOptions : this.encryptionOptions("aggregate", { document: doc, ...argsForFn }))
+    );
+  }
+
+  distinct(field, selector = {}, options = {}) {
+    return Promise.await(this.distinctAsync(field, selector, options));
+  }
+
+  async distinctAsync(field, selector = {}, options = {}) {
+    // check for stupid lazy strings
+    if (typeof selector === "string") {
+      selector = { _id: selector };
+    }
+    const argsForFn = { field, selector, options };
+    const encryptionOptions = this.encryptionOptions("distinct", argsForFn);
+    const subSchema = encryptionOptions?.schema && encryptionOptions.schema.get(field);
+
+    // distinct unwinds arrays, so for { "array.$": true } we get back the individually encrypted entries
+    let entryEncryptionOptions = encryptionOptions?.schema && encryptionOptions.schema.encryptionOptions(field, "distinct", argsForFn);
+    if (!entryEncryptionOptions && subSchema instanceof EncryptionSchema) {
+      entryEncryptionOptions = subSchema.encryptionOptions("$", "distinct", argsForFn);
+    }
+    const mergedOptions = entryEncryptionOptions && { ...encryptionOptions, ...entryEncryptionOptions };
+    if (mergedOptions?.algorithm === RANDOM_ALGORITHM) {
+      throw new Meteor.Error("unsupported-operation", `You can't use distinct over the randomly encrypted field ${field}`);
+    }
+    const encryptedSelector = await this._encryptSelectorAsync(selector, "distinct", argsForFn, encryptionOptions);
+    const values = await this.rawCollection().distinct(field, encryptedSelector, options);
+    if (mergedOptions) {
+      const encryptionClient = EncryptedCollection.ensureEncryptionClient(mergedOptions);
+      const decryptedValues = [];
+      await runJobs(values.map((value, index) => async () => {
+        decryptedValues[index] = await __decryptConversionFunction(encryptionClient, mergedOptions, value);
+      }), mergedOptions.concurrency);
+      return decryptedValues;
+    }
+    if (subSchema instanceof EncryptionSchema) {
+      return Promise.all(values.map(value => (value && typeof value === "object" ? convert({
+        conversionFn: __decryptConversionFunction,
+        currentObj: value,
+        currentSchema: subSchema,
+        originalMethodArgs: argsForFn,
+        originalMethodName: "distinct",
+        encryptionOptions
+      }) : value)));
+    }
+    return values;
   }
 
   _find(...args) {
@@ -482,85 +2238,245 @@ export class EncryptedCollection extends Meteor.Collection {
     }
     const argsForFn = { selector: args[0], options: args[1] };
     const encryptionOptions = this.encryptionOptions?.("find", argsForFn);
+    validateProjection(encryptionOptions, projectionOf(args[1]), "find", argsForFn);
+    const matches = rangeFilter(encryptionOptions, args[0], args[1], "find", argsForFn);
+    let postFilter;
+    if (matches) {
+      // the skip and limit can only be applied once the results have been filtered
+      const { skip, limit, ...options } = args[1] || {};
+      args[1] = options;
+      postFilter = { matches, skip, limit };
+    }
+    let unencryptedSelector;
     if (args[0] && encryptionOptions) {
-      args[0] = args[0] && this._encryptSelector(args[0], "find", argsForFn, encryptionOptions);
+      if (fibersAvailable) {
+        args[0] = this._encryptSelector(args[0], "find", argsForFn, encryptionOptions);
+      }
+      else {
+        // find has to return synchronously - the cursor will encrypt the selector before it's used
+        unencryptedSelector = args[0];
+      }
     }
     const cursor = origFunctions.find.call(this, ...args);
     if (!encryptionOptions) {
       return cursor;
     }
     // we can't chcek for the existance of a schema here, because the schema may not be defined until after we get the document back
-    wrapCursor.call(this, cursor, encryptionOptions, argsForFn);
+    wrapCursor.call(this, cursor, encryptionOptions, argsForFn, unencryptedSelector, postFilter);
     return cursor;
   }
 
   _findOne(...args) {
+    return Promise.await(EncryptedCollection.prototype._findOneAsync.call(this, ...args));
+  }
+
+  async _findOneAsync(...args) {
     // check for stupid lazy strings
     if (typeof args[0] === "string") {
       args[0] = { _id: args[0] };
     }
     const argsForFn = { selector: args[0], options: args[1] };
     let encryptionOptions = this.encryptionOptions?.("findOne", argsForFn);
+    validateProjection(encryptionOptions, projectionOf(args[1]), "findOne", argsForFn);
+    if (rangeFilter(encryptionOptions, args[0], args[1], "findOne", argsForFn)) {
+      // the results of a range query are filtered by the cursor, so findOne is just its first result
+      return (await EncryptedCollection.prototype._find.call(this, args[0], { ...args[1], limit: 1 }).fetchAsync())[0];
+    }
     if (args[0] && encryptionOptions) {
-      args[0] = args[0] && this._encryptSelector(args[0], "findOne", argsForFn, encryptionOptions);
+      args[0] = await this._encryptSelectorAsync(args[0], "findOne", argsForFn, encryptionOptions);
     }
-    const result = origFunctions.findOne.call(this, ...args);
+    const result = fibersAvailable ? origFunctions.findOne.call(this, ...args) : await origFunctions.findOneAsync.call(this, ...args);
     if (!result || !encryptionOptions) {
       return result;
     }
 
-    encryptionOptions = this.encryptionOptions("result", { document: result, selector: args[0], options: args[1] });
-    if (!encryptionOptions?.schema) {
-      return result;
-    }
-    return newFunction({
-      inPlace: true,
-      conversionFn: __decryptConversionFunction,
-      currentObj: result,
-      currentSchema: encryptionOptions.schema,
-      originalMethodArgs: { document: result, selector: args[0], options: args[1] },
-      originalMethodName: "findOne",
-      encryptionOptions
-    });
+    encryptionOptions = projectEncryptionOptions(projectionOf(args[1]))(this.encryptionOptions("result", { document: result, selector: args[0], options: args[1] }));
+    return decryptDocument(result, "findOne", { selector: args[0], options: args[1] }, encryptionOptions);
   }
 
   _remove(...args) {
+    return Promise.await(EncryptedCollection.prototype._removeAsync.call(this, ...args));
+  }
+
+  async _removeAsync(...args) {
     const argsForFn = { selector: args[0], options: args[1] };
     const encryptionOptions = this.encryptionOptions?.("findOne", argsForFn);
     if (args[0] && encryptionOptions?.schema) {
-      args[0] = args[0] && this._encryptSelector(args[0], "remove", argsForFn, encryptionOptions);
+      args[0] = await this._encryptSelectorAsync(args[0], "remove", argsForFn, encryptionOptions);
     }
-    return origFunctions.remove.call(this, ...args);
+    return fibersAvailable ? origFunctions.remove.call(this, ...args) : origFunctions.removeAsync.call(this, ...args);
   }
 
   _insert(doc, ...args) {
+    return Promise.await(EncryptedCollection.prototype._insertAsync.call(this, doc, ...args));
+  }
+
+  async _insertAsync(doc, ...args) {
     const argsForFn = { document: doc, options: args[0] };
     const encryptionOptions = this.encryptionOptions?.("insert", argsForFn);
+    const insert = fibersAvailable ? origFunctions.insert : origFunctions.insertAsync;
     if (!encryptionOptions?.schema) {
-      return origFunctions.insert.call(this, doc, ...args);
+      return insert.call(this, doc, ...args);
     }
-    const toInsert = this._encryptInsert(doc, argsForFn, encryptionOptions);
-    return origFunctions.insert.call(this, toInsert, ...args);
+    const toInsert = await this._encryptInsertAsync(doc, argsForFn, encryptionOptions);
+    return insert.call(this, toInsert, ...args);
   }
 
   _update(selector, mutator, ...args) {
+    return Promise.await(EncryptedCollection.prototype._updateAsync.call(this, selector, mutator, ...args));
+  }
+
+  async _updateAsync(selector, mutator, ...args) {
     const options = args[0] || {};
     const argsForFn = { selector, mutator, options: args[0] };
     const encryptionOptions = this.encryptionOptions?.("update", argsForFn);
+    const update = fibersAvailable ? origFunctions.update : origFunctions.updateAsync;
     /* if (this._c2 && !options?.bypassCollection2 && doValidate) {
       doValidate(this, "update", [selector, mutator, ...args], true, Meteor.userId(), true);
     } */
     if (!encryptionOptions?.schema) {
-      return origFunctions.update.call(this, selector, mutator, ...args);
+      return update.call(this, selector, mutator, ...args);
+    }
+    const [actualSelector, actualMutator] = await this._encryptUpdateAsync(selector, mutator, argsForFn, encryptionOptions);
+    return update.call(this, actualSelector, actualMutator, ...args /* { ...options, bypassCollection2: true } */);
+  }
+
+  // returns the encrypted [selector, mutator] - the mutator may be a replacement document
+  async _encryptUpdateAsync(selector, mutator, originalMethodArgs, encryptionOptions = this.encryptionOptions("update", originalMethodArgs)) {
+    if (!encryptionOptions?.schema) {
+      return [selector, mutator];
     }
-    const actualSelector = this._encryptSelector(selector, "update", argsForFn, encryptionOptions);
-    const actualMutator = this._encryptMutator(mutator, argsForFn, encryptionOptions);
-    return origFunctions.update.call(this, actualSelector, actualMutator, ...args /* { ...options, bypassCollection2: true } */);
+    // the driver accepts aggregation pipelines as updates, we can't encrypt those - so they'd write plaintext
+    if (Array.isArray(mutator)) {
+      throw new Meteor.Error("unsupported-operation", "Aggregation pipeline updates can't be used on collections with encrypted fields");
+    }
+    let mutatorPromise;
+    if (isReplacement(mutator)) {
+      mutatorPromise = this._encryptReplacementAsync(mutator, originalMethodArgs, encryptionOptions);
+    }
+    else {
+      mutatorPromise = this._encryptMutatorAsync(mutator, originalMethodArgs, encryptionOptions);
+    }
+    return Promise.all([
+      this._encryptSelectorAsync(selector, "update", originalMethodArgs, encryptionOptions),
+      mutatorPromise
+    ]);
+  }
+
+  // decrypts every document matching selector with fromOptions and encrypts it again with toOptions
+  // both default to the current configuration, and are given in the same form as configureEncryption
+  async reencrypt({
+    fromOptions,
+    toOptions,
+    batchSize = 1000,
+    selector = {},
+    concurrency = this.__encryptionOptions.concurrency,
+    onProgress,
+    jobId = `reencrypt.${this._name}`,
+    checkpointCollection = "autoEncryptCheckpoints"
+  } = {}) {
+    checkConcurrency({ concurrency });
+    const from = fromOptions ? normalizeEncryptionOptions(this.__encryptionOptions, fromOptions) : this._encryptionOptions;
+    const to = toOptions ? normalizeEncryptionOptions(this.__encryptionOptions, toOptions) : this._encryptionOptions;
+    const argsForFn = { selector, options: { batchSize } };
+    const rawCollection = this.rawCollection();
+    const encryptedSelector = await this._encryptSelectorAsync(selector, "reencrypt", argsForFn, resolveEncryptionOptions(from, "reencrypt", argsForFn));
+    return processInBatches({
+      rawCollection,
+      checkpoints: this.rawDatabase().collection(checkpointCollection),
+      jobId,
+      selector: encryptedSelector,
+      batchSize,
+      concurrency,
+      onProgress
+    }, doc => rewriteDocument(rawCollection, doc, async (current) => {
+      const decryptCiphertext = (document, encryptionOptions) => (encryptionOptions?.schema ? convert({
+        conversionFn: (encryptionClient, options, value) => (isCiphertext(value) ? __decryptConversionFunction(encryptionClient, options, value) : value),
+        currentObj: document,
+        currentSchema: encryptionOptions.schema,
+        originalMethodArgs: { document, ...argsForFn },
+        originalMethodName: "reencrypt",
+        encryptionOptions
+      }) : document);
+      const fromEncryptionOptions = resolveEncryptionOptions(from, "reencrypt", { document: current, ...argsForFn });
+      const fromDecrypted = await decryptCiphertext(current, fromEncryptionOptions);
+      // documents after the checkpoint may have been converted before the job stopped, so are already in the form of toOptions.
+      // values that aren't ciphertext are left alone by the first pass, the second decrypts anything still encrypted so it isn't encrypted twice
+      const toEncryptionOptions = resolveEncryptionOptions(to, "reencrypt", { document: fromDecrypted, ...argsForFn });
+      const decrypted = await decryptCiphertext(fromDecrypted, toEncryptionOptions);
+      const encrypted = toEncryptionOptions?.schema
+        ? await this._encryptInsertAsync(decrypted, { document: decrypted, ...argsForFn }, toEncryptionOptions)
+        : decrypted;
+      // the fields stored alongside top level encrypted fields (e.g., blind indexes) are top level too
+      const companions = new Set([fromEncryptionOptions, toEncryptionOptions].flatMap(encryptionOptions => Object.keys(encryptionOptions?.schema?._flatSchema || {})
+      .filter(path => !path.includes("."))
+      .flatMap(path => companionFields(encryptionOptions.schema.encryptionOptions(path, "reencrypt", { document: current, ...argsForFn })))));
+      return {
+        document: encrypted,
+        fields: [...new Set([...Object.keys(current), ...Object.keys(encrypted)])]
+        .filter(key => key !== "_id" && (fromEncryptionOptions?.schema?.get(key) || toEncryptionOptions?.schema?.get(key) || companions.has(key)))
+      };
+    }));
+  }
+
+  // turns the ciphertext of the given paths back into plaintext. While this runs some documents have plaintext where the schema expects
+  // ciphertext, so the paths must be configured with { safe: true } - on every server reading the collection. Once complete, remove the paths from your schema.
+  async decryptFields(paths, {
+    batchSize = 1000,
+    concurrency = this.__encryptionOptions.concurrency,
+    onProgress,
+    jobId = `decryptFields.${this._name}`,
+    checkpointCollection = "autoEncryptCheckpoints"
+  } = {}) {
+    checkConcurrency({ concurrency });
+    const encryptionOptions = { ...this.__encryptionOptions, safe: true, schema: new EncryptionSchema(Object.fromEntries(paths.map(path => [path, true]))) };
+    const currentOptions = this.encryptionOptions("decryptFields", {});
+    const unsafePath = paths.find(path => !{ ...currentOptions, ...currentOptions?.schema?.encryptionOptions(path, "decryptFields", {}) }.safe);
+    if (unsafePath) {
+      throw new Meteor.Error("bad-option", `${unsafePath} must be configured with { safe: true } while its fields are decrypted`);
+    }
+    const fields = [...new Set(paths.map(path => path.split(".")[0]))];
+    const rawCollection = this.rawCollection();
+    return processInBatches({
+      rawCollection,
+      checkpoints: this.rawDatabase().collection(checkpointCollection),
+      jobId,
+      selector: { $or: paths.map(path => ({ [path.replace(/\.\$(?=\.|$)/g, "")]: { $exists: true } })) },
+      batchSize,
+      concurrency,
+      onProgress
+    }, doc => rewriteDocument(rawCollection, doc, async current => ({
+      document: await convert({
+        conversionFn: __decryptConversionFunction,
+        currentObj: current,
+        currentSchema: encryptionOptions.schema,
+        originalMethodArgs: { document: current },
+        originalMethodName: "decryptFields",
+        encryptionOptions
+      }),
+      fields: fields.filter(field => field in current)
+    })));
+  }
+
+  encryptedRawCollection() {
+    return wrapRawCollection.call(this, this.rawCollection());
+  }
+
+  // upsertAsync doesn't exist in all versions of meteor, the sync version calls update (which we've already patched)
+  _upsertAsync(selector, mutator, options, callback) {
+    if (!callback && typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    return EncryptedCollection.prototype._updateAsync.call(this, selector, mutator, { ...options, _returnObject: true, upsert: true }, callback);
   }
 }
 
 
-const funcitonsToPatch = ["configureEncryption", "encryptionOptions", "_encryptSelector", "_encryptMutator", "_encryptInsert"];
+const funcitonsToPatch = ["configureEncryption", "encryptionOptions", "_encryptSelector", "_encryptMutator", "_encryptInsert", "_encryptReplacement", "_encryptPipeline", "aggregate", "distinct",
+  "_encryptSelectorAsync", "_encryptMutatorAsync", "_encryptInsertAsync", "_encryptReplacementAsync", "_encryptPipelineAsync", "aggregateAsync", "distinctAsync",
+  "_encryptUpdateAsync", "encryptedRawCollection", "reencrypt", "decryptFields", "attachEncryptedSchema", "toJsonSchema"
+];
 export function patchCollection(collection, initialOptions) {
   funcitonsToPatch.forEach((functionName) => {
     collection[functionName] = EncryptedCollection.prototype[functionName];
@@ -568,8 +2484,54 @@ export function patchCollection(collection, initialOptions) {
   collection.configureEncryption(initialOptions, false);
 }
 
+// converts a $jsonSchema (as used by MongoDB's automatic encryption) into the schema passed to configureEncryption
+// fields with an encrypt block are encrypted, inheriting the algorithm and keyId of the encryptMetadata of their ancestors
+// a keyId array refers to an existing data key, a JSON pointer is resolved to the keyAltName option
+export function encryptionSchemaFromJsonSchema(jsonSchema) {
+  const schema = {};
+  const visit = (node, path, metadata) => {
+    const inherited = { ...metadata, ...node.encryptMetadata };
+    if (node.encrypt) {
+      if (!path) {
+        throw new Meteor.Error("bad-schema", "The root of a $jsonSchema can't be encrypted");
+      }
+      schema[path] = jsonSchemaEntry({ ...inherited, ...node.encrypt });
+      return;
+    }
+    Object.entries(node.properties || {}).forEach(([key, child]) => visit(child, joinPath(path, key), inherited));
+    if (node.items && !Array.isArray(node.items)) {
+      visit(node.items, joinPath(path, "$"), inherited);
+    }
+    if (node.additionalProperties && typeof node.additionalProperties === "object") {
+      visit(node.additionalProperties, joinPath(path, "*"), inherited);
+    }
+  };
+  visit(jsonSchema.$jsonSchema || jsonSchema, "", {});
+  return schema;
+}
+
+// builds an encryption schema from the encrypted option of each field of a SimpleSchema, either true or the field's encryption options
+// SimpleSchema.extendOptions(["encrypted"]) must be called before the SimpleSchema is created
+export function encryptionSchemaFromSimpleSchema(simpleSchema) {
+  const schema = {};
+  Object.entries(simpleSchema.schema()).forEach(([key, { encrypted }]) => {
+    if (encrypted === true) {
+      schema[key] = true;
+    }
+    else if (encrypted) {
+      schema[key] = () => encrypted;
+    }
+  });
+  return schema;
+}
+
 Meteor.Collection.prototype.update = EncryptedCollection.prototype._update;
 Meteor.Collection.prototype.insert = EncryptedCollection.prototype._insert;
 Meteor.Collection.prototype.remove = EncryptedCollection.prototype._remove;
 Meteor.Collection.prototype.find = EncryptedCollection.prototype._find;
 Meteor.Collection.prototype.findOne = EncryptedCollection.prototype._findOne;
+Meteor.Collection.prototype.updateAsync = EncryptedCollection.prototype._updateAsync;
+Meteor.Collection.prototype.insertAsync = EncryptedCollection.prototype._insertAsync;
+Meteor.Collection.prototype.removeAsync = EncryptedCollection.prototype._removeAsync;
+Meteor.Collection.prototype.findOneAsync = EncryptedCollection.prototype._findOneAsync;
+Meteor.Collection.prototype.upsertAsync = EncryptedCollection.prototype._upsertAsync;
@@ -1,9 +1,15 @@
-/* global describe, beforeEach, it */
+/* global describe, beforeEach, afterEach, it */
 import crypto from "crypto";
 import chai from "chai";
-import { MongoInternals } from "meteor/mongo";
+import { ClientEncryption } from "mongodb-client-encryption";
+import { Mongo, MongoInternals } from "meteor/mongo";
+import { Decimal } from "meteor/mongo-decimal";
+import { EJSON } from "meteor/ejson";
+import SimpleSchema from "simpl-schema";
 
-import { EncryptedCollection, EncryptionSchema, patchCollection } from "./server.js";
+import {
+  EncryptedCollection, EncryptionSchema, patchCollection, encryptionSchemaFromSimpleSchema, encryptionSchemaFromJsonSchema
+} from "./server.js";
 
 const KeyVaultCollection = new Meteor.Collection("keyVault");
 
@@ -676,6 +682,26 @@ describe("EncryptedCollection", () => {
       chai.assert.isOk(result.object instanceof Buffer);
     });
 
+    it("should throw when deterministically encrypting entire objects", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          object: true
+        }
+      });
+
+      chai.assert.throws(() => collection._encryptInsert({
+        object: {
+          inner: "hello"
+        }
+      }));
+      chai.assert.throws(() => collection._encryptSelector({
+        object: {
+          inner: "hello"
+        }
+      }));
+    });
+
     it("should Encrypt all sub-keys of object", () => {
       collection.configureEncryption(encOptions, false);
       collection.configureEncryption({
@@ -747,6 +773,190 @@ describe("EncryptedCollection", () => {
     });
   });
 
+  describe("Replacement", () => {
+    it("should Encrypt Simple fields", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          string: true
+        }
+      });
+      const result = collection._encryptReplacement({
+        string: "hello"
+      });
+      chai.assert.isOk(result.string instanceof Buffer);
+    });
+
+    it("should Encrypt Full Arrays", () => {
+      collection.configureEncryption({ ...encOptions, algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" }, false);
+      collection.configureEncryption({
+        schema: {
+          array: true
+        }
+      });
+
+      const result = collection._encryptReplacement({
+        array: [1, 2, 3]
+      });
+      chai.assert.isOk(result.array instanceof Buffer);
+    });
+
+    it("should Encrypt Elements Of Array", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          "array.$": true
+        }
+      });
+
+      const result = collection._encryptReplacement({
+        array: [1, 2, 3]
+      });
+      chai.assert.lengthOf(result.array, 3);
+      result.array.forEach((res) => {
+        chai.assert.isOk(res instanceof Buffer);
+      });
+    });
+
+    it("should Encrypt object sub-keys", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          "object.inner": true
+        }
+      });
+
+      const result = collection._encryptReplacement({
+        object: {
+          inner: "hello"
+        }
+      });
+      chai.assert.equal(result.object instanceof Object, true);
+      chai.assert.isOk(result.object.inner instanceof Buffer);
+    });
+
+    it("should Encrypt entire objects", () => {
+      collection.configureEncryption({ ...encOptions, algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" }, false);
+      collection.configureEncryption({
+        schema: {
+          object: true
+        }
+      });
+
+      const result = collection._encryptReplacement({
+        object: {
+          inner: "hello"
+        }
+      });
+      chai.assert.isOk(result.object instanceof Buffer);
+    });
+
+    it("should Encrypt all sub-keys of object", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          "object.*": true
+        }
+      });
+
+      const result = collection._encryptReplacement({
+        object: {
+          inner: "hello",
+          inner2: "goodbye"
+        }
+      });
+      chai.assert.equal(result.object instanceof Object, true);
+      chai.assert.isOk(result.object.inner instanceof Buffer);
+      chai.assert.isOk(result.object.inner2 instanceof Buffer);
+    });
+
+    it("should Encrypt array sub-keys of object", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          "object.inner.$": true
+        }
+      });
+
+      const result = collection._encryptReplacement({
+        object: {
+          inner: [1, 2, 3]
+        }
+      });
+      chai.assert.equal(result.object instanceof Object, true);
+      chai.assert.equal(Array.isArray(result.object.inner), true);
+
+      result.object.inner.forEach(res => chai.assert.isOk(res instanceof Buffer));
+    });
+
+    it("should Encrypt object subkeys of arrays", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          "array.$.inner": true
+        }
+      });
+
+      const result = collection._encryptReplacement({
+        array: [{ inner: "hello" }]
+      });
+      chai.assert.equal(Array.isArray(result.array), true);
+      chai.assert.equal(result.array[0] instanceof Buffer, false);
+      chai.assert.isOk(result.array[0].inner instanceof Buffer);
+    });
+
+    it("should Encrypt object subkeys of arrays (wildcard)", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          "array.$.*": true
+        }
+      });
+
+      const result = collection._encryptReplacement({
+        array: [{ inner: "hello" }]
+      });
+      chai.assert.equal(Array.isArray(result.array), true);
+      chai.assert.equal(result.array[0] instanceof Buffer, false);
+      chai.assert.isOk(result.array[0].inner instanceof Buffer);
+    });
+
+    it("should encrypt replacement updates", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          string: true,
+          "array.$": true
+        }
+      });
+      collection.insert({ _id: "1", string: "hello", array: [1] });
+      collection.update({ _id: "1" }, { string: "goodbye", array: [2, 3], other: 1 });
+
+      const found = Promise.await(collection.rawCollection().findOne({ _id: "1" }));
+      chai.assert.ok(found.string instanceof MongoInternals.NpmModule.Binary);
+      found.array.forEach(entry => chai.assert.ok(entry instanceof MongoInternals.NpmModule.Binary));
+      chai.assert.equal(found.other, 1);
+
+      chai.assert.deepEqual(collection.findOne({ string: "goodbye" }), {
+        _id: "1", string: "goodbye", array: [2, 3], other: 1
+      });
+    });
+
+    it("should encrypt replacement upserts", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          string: true
+        }
+      });
+      const { insertedId } = collection.upsert({ other: 1 }, { string: "hello", other: 1 });
+
+      const found = Promise.await(collection.rawCollection().findOne({ _id: insertedId }));
+      chai.assert.ok(found.string instanceof MongoInternals.NpmModule.Binary);
+      chai.assert.deepEqual(collection.findOne({ string: "hello" }), { _id: insertedId, string: "hello", other: 1 });
+    });
+  });
+
   describe("find", () => {
     const docsAndSchemas = [
       {
@@ -1426,4 +1636,1800 @@ describe("EncryptedCollection", () => {
       chai.assert.equal(result.array[1].inner, 3);
     });
   });
+
+  describe("Aggregate", () => {
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          string: true,
+          "array.$": true,
+          object() {
+            return { algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" };
+          }
+        }
+      });
+      collection.insert({
+        _id: "1", string: "hello", array: [1, 2], object: { inner: "hello" }, count: 1
+      });
+      collection.insert({
+        _id: "2", string: "goodbye", array: [3], object: { inner: "goodbye" }, count: 2
+      });
+    });
+
+    it("should encrypt $match stages and decrypt the results", () => {
+      const result = collection.aggregate([{ $match: { string: "hello" } }]);
+      chai.assert.deepEqual(result, [{
+        _id: "1", string: "hello", array: [1, 2], object: { inner: "hello" }, count: 1
+      }]);
+    });
+
+    it("should decrypt the results after $sort, $limit and $project", () => {
+      const result = collection.aggregate([
+        { $match: { array: 3 } },
+        { $sort: { count: -1 } },
+        { $limit: 1 },
+        { $project: { string: 1, object: 1 } }
+      ]);
+      chai.assert.deepEqual(result, [{ _id: "2", string: "goodbye", object: { inner: "goodbye" } }]);
+    });
+
+    it("should not decrypt the results once the shape is unknown", () => {
+      const result = collection.aggregate([{ $match: { string: "hello" } }, { $group: { _id: "$string", total: { $sum: "$count" } } }]);
+      chai.assert.lengthOf(result, 1);
+      chai.assert.ok(result[0]._id instanceof MongoInternals.NpmModule.Binary);
+      chai.assert.equal(result[0].total, 1);
+    });
+
+    it("should throw when sorting by an encrypted field", () => {
+      chai.assert.throws(() => {
+        collection.aggregate([{ $sort: { string: 1 } }]);
+      }, /unsupported-stage/);
+    });
+
+    it("should throw when grouping by a randomly encrypted field", () => {
+      chai.assert.throws(() => {
+        collection.aggregate([{ $group: { _id: { object: "$object" } } }]);
+      }, /unsupported-stage/);
+    });
+
+    it("should call the options function with the pipeline", () => {
+      let called = 0;
+      const pipeline = [{ $match: { string: "hello" } }];
+      collection.configureEncryption((methodName, { selector }) => {
+        called++;
+        chai.assert.equal(methodName, "aggregate");
+        chai.assert.equal(selector, pipeline[0].$match);
+        return { schema: { string: true } };
+      });
+      const [result] = collection.aggregate(pipeline);
+      chai.assert.equal(result.string, "hello");
+
+      // once for the pipeline, once for the document
+      chai.assert.equal(called, 2);
+    });
+  });
+
+  describe("Distinct", () => {
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          string: true,
+          "array.$": true,
+          "object.inner": true,
+          random() {
+            return { algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" };
+          }
+        }
+      });
+      collection.insert({
+        _id: "1", string: "hello", array: [1, 2], object: { inner: "hello" }, random: "hello", group: 1
+      });
+      collection.insert({
+        _id: "2", string: "goodbye", array: [2, 3], object: { inner: "goodbye" }, random: "goodbye", group: 1
+      });
+      collection.insert({
+        _id: "3", string: "hello", array: [4], object: { inner: "hello" }, random: "hello", group: 2
+      });
+    });
+
+    it("should decrypt distinct values", () => {
+      chai.assert.sameMembers(collection.distinct("string"), ["hello", "goodbye"]);
+    });
+
+    it("should decrypt distinct array entries", () => {
+      chai.assert.sameMembers(collection.distinct("array"), [1, 2, 3, 4]);
+    });
+
+    it("should decrypt distinct nested values", () => {
+      chai.assert.sameMembers(collection.distinct("object.inner"), ["hello", "goodbye"]);
+    });
+
+    it("should decrypt distinct objects", () => {
+      chai.assert.sameDeepMembers(collection.distinct("object"), [{ inner: "hello" }, { inner: "goodbye" }]);
+    });
+
+    it("should encrypt the selector", () => {
+      chai.assert.sameMembers(collection.distinct("array", { string: "hello" }), [1, 2, 4]);
+    });
+
+    it("should not touch un-encrypted fields", () => {
+      chai.assert.sameMembers(collection.distinct("group", { string: "goodbye" }), [1]);
+    });
+
+    it("should throw on randomly encrypted fields", () => {
+      chai.assert.throws(() => {
+        collection.distinct("random");
+      }, /unsupported-operation/);
+    });
+  });
+
+  describe("Upsert", () => {
+    const upsertsAndSchemas = [
+      {
+        name: "string", schema: { string: true }, selector: { string: "hello" }, expected: { string: "hello" }
+      },
+      {
+        name: "array", schema: { "array.$": true }, selector: { array: "hello" }, expected: { array: "hello" }
+      },
+      {
+        name: "object", schema: { "object.inner": true }, selector: { "object.inner": "hello" }, expected: { object: { inner: "hello" } }
+      },
+      {
+        name: "object(wildcard)", schema: { "object.*": true }, selector: { "object.inner": "hello" }, expected: { object: { inner: "hello" } }
+      },
+      {
+        name: "nested object", schema: { object: { nested: { inner: true } } }, selector: { "object.nested.inner": "hello" }, expected: { object: { nested: { inner: "hello" } } }
+      }
+    ];
+
+    upsertsAndSchemas.forEach(({
+      name,
+      schema,
+      selector,
+      expected
+    }) => {
+      describe(name, () => {
+        beforeEach(() => {
+          collection.configureEncryption(encOptions, false);
+          collection.configureEncryption({ schema });
+        });
+
+        it(`should promote a ${name} selector into the inserted document`, () => {
+          const { insertedId } = collection.upsert(selector, { $set: { other: 1 } });
+          const result = collection.findOne({ _id: insertedId });
+          chai.assert.deepEqual(result, { _id: insertedId, ...expected, other: 1 });
+        });
+
+        it(`should find the upserted ${name} with the same selector`, () => {
+          const { insertedId } = collection.upsert(selector, { $set: { other: 1 } });
+          const { numberAffected, insertedId: secondInsertedId } = collection.upsert(selector, { $set: { other: 2 } });
+          chai.assert.equal(numberAffected, 1);
+          chai.assert.notOk(secondInsertedId);
+          chai.assert.deepEqual(collection.findOne(selector), { _id: insertedId, ...expected, other: 2 });
+        });
+
+        it(`should encrypt a ${name} in $setOnInsert`, () => {
+          const { insertedId } = collection.upsert({ _id: "1" }, { $setOnInsert: expected });
+          const found = Promise.await(collection.rawCollection().findOne({ _id: insertedId }));
+          chai.assert.notDeepEqual(found, { _id: insertedId, ...expected });
+          chai.assert.deepEqual(collection.findOne(selector), { _id: insertedId, ...expected });
+        });
+
+        it(`should promote a ${name} selector when using update with { upsert: true }`, () => {
+          collection.update(selector, { $setOnInsert: { other: 1 } }, { upsert: true });
+          const result = collection.findOne(selector);
+          chai.assert.deepEqual(result, { _id: result._id, ...expected, other: 1 });
+        });
+      });
+    });
+
+    it("should encrypt $setOnInsert", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          string: true
+        }
+      });
+
+      const result = collection._encryptMutator({
+        $setOnInsert: {
+          string: "hello"
+        }
+      });
+
+      chai.assert.isOk(result.$setOnInsert.string instanceof Buffer);
+    });
+  });
+
+  describe("Strict", () => {
+    const schema = {
+      string: true,
+      "array.$.inner": true,
+      "object.inner": true
+    };
+
+    describe("strict: true", () => {
+      beforeEach(() => {
+        collection.configureEncryption({ ...encOptions, strict: true }, false);
+        collection.configureEncryption({ schema });
+      });
+
+      [
+        { operator: "$regex", selector: { string: { $regex: "^hello" } } },
+        { operator: "$regex", selector: { string: /^hello/ } },
+        { operator: "$gt", selector: { string: { $gt: "hello" } } },
+        { operator: "$lt", selector: { "object.inner": { $in: ["hello"], $lt: "hello" } } },
+        { operator: "$elemMatch", selector: { array: { $elemMatch: { inner: "hello" } } } },
+        { operator: "$expr", selector: { $expr: { $eq: ["$string", "$other"] } } },
+        { operator: "$where", selector: { $where: "this.string === 'hello'" } },
+        { operator: "$gt", selector: { $or: [{ other: 1 }, { string: { $gt: "hello" } }] } }
+      ].forEach(({ operator, selector }) => {
+        it(`should throw for ${operator} in the selector ${JSON.stringify(selector)}`, () => {
+          chai.assert.throws(() => {
+            collection._encryptSelector(selector);
+          }, new RegExp(`\\${operator}`));
+        });
+      });
+
+      [
+        { operator: "$inc", mutator: { $inc: { string: 1 } } },
+        { operator: "$mul", mutator: { $mul: { "object.inner": 2 } } },
+        { operator: "$max", mutator: { $max: { "array.$.inner": 2 } } },
+        { operator: "$min", mutator: { $min: { "array.$[].inner": 2 } } },
+        { operator: "$rename", mutator: { $rename: { string: "other" } } },
+        { operator: "$rename", mutator: { $rename: { other: "string" } } }
+      ].forEach(({ operator, mutator }) => {
+        it(`should throw for ${operator} in the mutator ${JSON.stringify(mutator)}`, () => {
+          chai.assert.throws(() => {
+            collection._encryptMutator(mutator);
+          }, new RegExp(`\\${operator}`));
+        });
+      });
+
+      it("should name the encrypted field", () => {
+        chai.assert.throws(() => {
+          collection._encryptSelector({ object: { inner: { $gt: 1 } } });
+        }, /object\.inner/);
+      });
+
+      it("should allow unsupported operators on un-encrypted fields", () => {
+        const selector = collection._encryptSelector({ other: { $gt: 1 }, $expr: { $eq: ["$other", "$another"] } });
+        chai.assert.equal(selector.other.$gt, 1);
+        const mutator = collection._encryptMutator({ $inc: { other: 1 }, $unset: { string: 1 } });
+        chai.assert.equal(mutator.$inc.other, 1);
+      });
+
+      it("should allow supported operators on encrypted fields", () => {
+        const selector = collection._encryptSelector({ string: { $in: ["hello"] }, "object.inner": { $exists: true } });
+        chai.assert.isOk(selector.string.$in[0] instanceof Buffer);
+      });
+
+      it("should throw from update", () => {
+        chai.assert.throws(() => {
+          collection.update({ _id: "1" }, { $inc: { string: 1 } });
+        }, /unsupported-operator/);
+      });
+    });
+
+    describe("strict: warn", () => {
+      const origWarn = console.warn;
+      let warnings;
+      beforeEach(() => {
+        warnings = [];
+        console.warn = message => warnings.push(message);
+        collection.configureEncryption({ ...encOptions, strict: "warn" }, false);
+        collection.configureEncryption({ schema });
+      });
+      afterEach(() => {
+        console.warn = origWarn;
+      });
+
+      it("should warn rather than throw", () => {
+        collection._encryptSelector({ string: { $in: ["hello"], $gt: "hello" } });
+        collection._encryptMutator({ $inc: { string: 1 } });
+        chai.assert.lengthOf(warnings, 2);
+        chai.assert.include(warnings[0], "$gt");
+        chai.assert.include(warnings[1], "$inc");
+      });
+    });
+
+    it("should not check anything when not strict", () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema });
+      const result = collection._encryptMutator({ $inc: { string: 1 } });
+      chai.assert.equal(result.$inc.string, 1);
+    });
+  });
+
+  // changes are delivered asynchronously, so we need to give observers a chance to catch up
+  function waitFor(fn) {
+    for (let i = 0; i < 100 && !fn(); i++) {
+      Meteor._sleepForMs(20);
+    }
+  }
+
+  describe("Observe", () => {
+    Meteor.publish("encryptedCursor", () => collection.find({ string: "hello" }));
+
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          string: true,
+          "array.$": true,
+          "object.inner": true
+        }
+      });
+      collection.insert({
+        _id: "1", string: "hello", array: [1, 2], object: { inner: "hello" }
+      });
+    });
+
+    it("should decrypt added and changed fields in observeChanges", () => {
+      const added = [];
+      const changed = [];
+      const handle = collection.find({}).observeChanges({
+        added(id, fields) {
+          added.push({ id, fields });
+        },
+        changed(id, fields) {
+          changed.push({ id, fields });
+        }
+      });
+      chai.assert.deepEqual(added, [{ id: "1", fields: { string: "hello", array: [1, 2], object: { inner: "hello" } } }]);
+
+      collection.update({ _id: "1" }, { $set: { array: [3], "object.inner": "goodbye" }, $unset: { string: 1 } });
+      waitFor(() => changed.length);
+      handle.stop();
+      chai.assert.deepEqual(changed, [{ id: "1", fields: { array: [3], object: { inner: "goodbye" }, string: undefined } }]);
+    });
+
+    it("should decrypt documents in observe", () => {
+      const added = [];
+      const changed = [];
+      const handle = collection.find({ string: "hello" }).observe({
+        added(doc) {
+          added.push(doc);
+        },
+        changed(newDoc, oldDoc) {
+          changed.push({ newDoc, oldDoc });
+        }
+      });
+      chai.assert.deepEqual(added, [{
+        _id: "1", string: "hello", array: [1, 2], object: { inner: "hello" }
+      }]);
+
+      collection.update({ _id: "1" }, { $push: { array: 3 } });
+      waitFor(() => changed.length);
+      handle.stop();
+      chai.assert.deepEqual(changed, [{
+        newDoc: {
+          _id: "1", string: "hello", array: [1, 2, 3], object: { inner: "hello" }
+        },
+        oldDoc: {
+          _id: "1", string: "hello", array: [1, 2], object: { inner: "hello" }
+        }
+      }]);
+    });
+
+    it("should use the whole document to determine the options of a change", () => {
+      collection.configureEncryption((methodName, { document }) => {
+        if (methodName === "observeChanges") {
+          chai.assert.equal(document.string instanceof Uint8Array, true);
+        }
+        return { schema: { string: true, "array.$": true, "object.inner": true } };
+      });
+      const changed = [];
+      const handle = collection.find({}).observeChanges({
+        changed(id, fields) {
+          changed.push(fields);
+        }
+      });
+      collection.update({ _id: "1" }, { $set: { array: [3] } });
+      waitFor(() => changed.length);
+      handle.stop();
+      chai.assert.deepEqual(changed, [{ array: [3] }]);
+    });
+
+    it("should publish decrypted documents", () => {
+      const added = [];
+      const changed = [];
+      const stops = [];
+      const sub = {
+        added(collectionName, id, fields) {
+          added.push({ collectionName, id, fields });
+        },
+        changed(collectionName, id, fields) {
+          changed.push({ collectionName, id, fields });
+        },
+        removed() {},
+        onStop(fn) {
+          stops.push(fn);
+        }
+      };
+
+      // this is what happens when a publish function returns a cursor
+      const cursor = Meteor.server.publish_handlers.encryptedCursor.call(sub);
+      cursor._publishCursor(sub);
+      chai.assert.deepEqual(added, [{
+        collectionName: "dummy",
+        id: "1",
+        fields: { string: "hello", array: [1, 2], object: { inner: "hello" } }
+      }]);
+
+      collection.update({ _id: "1" }, { $set: { "object.inner": "goodbye" } });
+      waitFor(() => changed.length);
+      stops.forEach(fn => fn());
+      chai.assert.deepEqual(changed, [{ collectionName: "dummy", id: "1", fields: { object: { inner: "goodbye" } } }]);
+    });
+  });
+
+  describe("Async", () => {
+    const doc = { _id: "1", string: "hello", array: [1, 2, 3], object: { inner: "hello" } };
+    const schema = { string: true, "array.$": true, "object.inner": true };
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema });
+    });
+
+    it("should insertAsync encrypted", async () => {
+      const insertedId = await collection.insertAsync(doc);
+      const found = await collection.rawCollection().findOne({ _id: insertedId });
+      chai.assert.instanceOf(found.string, MongoInternals.NpmModule.Binary);
+      chai.assert.instanceOf(found.array[0], MongoInternals.NpmModule.Binary);
+      chai.assert.instanceOf(found.object.inner, MongoInternals.NpmModule.Binary);
+    });
+
+    it("should findOneAsync decrypted", async () => {
+      await collection.insertAsync(doc);
+      chai.assert.deepEqual(await collection.findOneAsync({ string: "hello" }), doc);
+      chai.assert.deepEqual(await collection.findOneAsync("1"), doc);
+    });
+
+    it("should fetchAsync, mapAsync and forEachAsync decrypted", async () => {
+      await collection.insertAsync(doc);
+      const cursor = collection.find({ array: 1 });
+      chai.assert.deepEqual(await cursor.fetchAsync(), [doc]);
+      chai.assert.deepEqual(await cursor.mapAsync(async a => a), [doc]);
+      const seen = [];
+      await cursor.forEachAsync(async (a) => {
+        seen.push(a);
+      });
+      chai.assert.deepEqual(seen, [doc]);
+    });
+
+    it("should decrypt when iterated with for await", async () => {
+      await collection.insertAsync(doc);
+      const seen = [];
+      for await (const found of collection.find({ array: 1 })) {
+        seen.push(found);
+      }
+      chai.assert.deepEqual(seen, [doc]);
+    });
+
+    it("should have decrypted the initial adds when observeChangesAsync returns", async () => {
+      await collection.insertAsync(doc);
+      const added = [];
+      const handle = await collection.find({ string: "hello" }).observeChangesAsync({
+        added: (id, fields) => added.push({ _id: id, ...fields })
+      });
+      handle.stop();
+      chai.assert.deepEqual(added, [doc]);
+    });
+
+    it("should countAsync with an encrypted selector", async () => {
+      await collection.insertAsync(doc);
+      chai.assert.equal(await collection.find({ "object.inner": "hello" }).countAsync(), 1);
+    });
+
+    it("should updateAsync encrypted", async () => {
+      await collection.insertAsync(doc);
+      await collection.updateAsync({ string: "hello" }, { $set: { string: "world" } });
+      const found = await collection.rawCollection().findOne({ _id: doc._id });
+      chai.assert.instanceOf(found.string, MongoInternals.NpmModule.Binary);
+      chai.assert.deepEqual(await collection.findOneAsync({ string: "world" }), { ...doc, string: "world" });
+    });
+
+    it("should upsertAsync encrypted", async () => {
+      const { insertedId } = await collection.upsertAsync({ string: "hello" }, { $set: { object: { inner: "hello" } } });
+      chai.assert.deepEqual(await collection.findOneAsync(insertedId), { _id: insertedId, string: "hello", object: { inner: "hello" } });
+    });
+
+    it("should removeAsync with an encrypted selector", async () => {
+      await collection.insertAsync(doc);
+      chai.assert.equal(await collection.removeAsync({ string: "hello" }), 1);
+      chai.assert.equal(await collection.rawCollection().countDocuments({}), 0);
+    });
+
+    it("should aggregateAsync and distinctAsync decrypted", async () => {
+      await collection.insertAsync(doc);
+      chai.assert.deepEqual(await collection.aggregateAsync([{ $match: { string: "hello" } }]), [doc]);
+      chai.assert.deepEqual(await collection.distinctAsync("string"), ["hello"]);
+    });
+
+    it("should only create one data key for concurrent encryptions", async () => {
+      await Promise.all([
+        collection.insertAsync({ _id: "1", string: "hello" }),
+        collection.insertAsync({ _id: "2", string: "world" })
+      ]);
+      chai.assert.equal(await KeyVaultCollection.rawCollection().countDocuments({}), 1);
+    });
+  });
+
+  // the async API of Meteor's collections and cursors (which is used without fibers) only exists in newer versions
+  (typeof Mongo.Cursor.prototype.fetchAsync === "function" ? describe : describe.skip)("Without Fibers", () => {
+    const doc = { _id: "1", string: "hello", array: [1, 2, 3], object: { inner: "hello" } };
+    const schema = { string: true, "array.$": true, "object.inner": true };
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema });
+      EncryptedCollection.disableFibers();
+    });
+
+    afterEach(() => {
+      EncryptedCollection.reset();
+    });
+
+    it("should insertAsync encrypted", async () => {
+      const insertedId = await collection.insertAsync(doc);
+      const found = await collection.rawCollection().findOne({ _id: insertedId });
+      chai.assert.instanceOf(found.string, MongoInternals.NpmModule.Binary);
+      chai.assert.instanceOf(found.array[0], MongoInternals.NpmModule.Binary);
+      chai.assert.instanceOf(found.object.inner, MongoInternals.NpmModule.Binary);
+    });
+
+    it("should findOneAsync decrypted", async () => {
+      await collection.insertAsync(doc);
+      chai.assert.deepEqual(await collection.findOneAsync({ string: "hello" }), doc);
+      chai.assert.deepEqual(await collection.findOneAsync("1"), doc);
+    });
+
+    it("should fetchAsync and forEachAsync decrypted, encrypting the selector when the cursor is used", async () => {
+      await collection.insertAsync(doc);
+      const cursor = collection.find({ array: 1 });
+      chai.assert.deepEqual(await cursor.fetchAsync(), [doc]);
+      const seen = [];
+      await cursor.forEachAsync(async (found) => {
+        seen.push(found);
+      });
+      chai.assert.deepEqual(seen, [doc]);
+    });
+
+    it("should have decrypted the initial adds when observeChangesAsync returns", async () => {
+      await collection.insertAsync(doc);
+      const added = [];
+      const handle = await collection.find({ string: "hello" }).observeChangesAsync({
+        added: (id, fields) => added.push({ _id: id, ...fields })
+      });
+      handle.stop();
+      chai.assert.deepEqual(added, [doc]);
+    });
+  });
+
+  describe("Encrypted Raw Collection", () => {
+    const doc = { _id: "1", string: "hello", array: [1, 2, 3], object: { inner: "hello" } };
+    const schema = { string: true, "array.$": true, "object.inner": true };
+    let raw;
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema });
+      raw = collection.encryptedRawCollection();
+    });
+
+    it("should insertOne encrypted, and copy the generated _id", async () => {
+      const toInsert = { string: "hello" };
+      await raw.insertOne(toInsert);
+      chai.assert.isOk(toInsert._id);
+      chai.assert.equal(toInsert.string, "hello");
+      const found = await collection.rawCollection().findOne({ _id: toInsert._id });
+      chai.assert.instanceOf(found.string, MongoInternals.NpmModule.Binary);
+    });
+
+    it("should insertMany encrypted", async () => {
+      await raw.insertMany([doc, { _id: "2", string: "world" }]);
+      chai.assert.deepEqual(await collection.findOneAsync({ string: "world" }), { _id: "2", string: "world" });
+      chai.assert.deepEqual(await collection.findOneAsync({ string: "hello" }), doc);
+    });
+
+    it("should find and findOne decrypted", async () => {
+      await raw.insertOne({ ...doc });
+      chai.assert.deepEqual(await raw.findOne({ string: "hello" }), doc);
+      chai.assert.deepEqual(await raw.find({ array: 1 }).limit(1).toArray(), [doc]);
+      const seen = [];
+      for await (const aDoc of raw.find({ "object.inner": "hello" })) {
+        seen.push(aDoc);
+      }
+      chai.assert.deepEqual(seen, [doc]);
+    });
+
+    it("should countDocuments with an encrypted filter", async () => {
+      await raw.insertOne({ ...doc });
+      chai.assert.equal(await raw.countDocuments({ string: "hello" }), 1);
+      chai.assert.equal(await raw.countDocuments({ string: "world" }), 0);
+    });
+
+    it("should updateOne and replaceOne encrypted", async () => {
+      await raw.insertOne({ ...doc });
+      await raw.updateOne({ string: "hello" }, { $set: { string: "world" } });
+      chai.assert.deepEqual(await raw.findOne({ string: "world" }), { ...doc, string: "world" });
+      await raw.replaceOne({ string: "world" }, { string: "replaced" });
+      const found = await collection.rawCollection().findOne({ _id: doc._id });
+      chai.assert.instanceOf(found.string, MongoInternals.NpmModule.Binary);
+      chai.assert.deepEqual(await raw.findOne({ string: "replaced" }), { _id: doc._id, string: "replaced" });
+    });
+
+    it("should findOneAndUpdate decrypted", async () => {
+      await raw.insertOne({ ...doc });
+      const { value } = await raw.findOneAndUpdate({ string: "hello" }, { $set: { string: "world" } }, { returnOriginal: false });
+      chai.assert.deepEqual(value, { ...doc, string: "world" });
+    });
+
+    it("should deleteOne with an encrypted filter", async () => {
+      await raw.insertOne({ ...doc });
+      const { deletedCount } = await raw.deleteOne({ string: "hello" });
+      chai.assert.equal(deletedCount, 1);
+    });
+
+    it("should bulkWrite encrypted", async () => {
+      await raw.bulkWrite([
+        { insertOne: { document: { ...doc } } },
+        { updateOne: { filter: { string: "hello" }, update: { $set: { "object.inner": "world" } } } },
+        { deleteMany: { filter: { string: "nothing" } } }
+      ], { ordered: true });
+      const found = await collection.rawCollection().findOne({ _id: doc._id });
+      chai.assert.instanceOf(found.object.inner, MongoInternals.NpmModule.Binary);
+      chai.assert.deepEqual(await raw.findOne({ "object.inner": "world" }), { ...doc, object: { inner: "world" } });
+    });
+
+    it("should bulkWrite upserts with the options of each operation", async () => {
+      const updateOptions = [];
+      collection.configureEncryption((methodName, { options }) => {
+        if (methodName === "update") {
+          updateOptions.push(options);
+        }
+        return { schema };
+      });
+      await raw.bulkWrite([
+        { updateOne: { filter: { string: "hello" }, update: { $setOnInsert: { "object.inner": "hello" } }, upsert: true } }
+      ], { ordered: true });
+      chai.assert.isNotEmpty(updateOptions);
+      chai.assert.isTrue(updateOptions.every(({ upsert }) => upsert));
+      const found = await collection.rawCollection().findOne({});
+      chai.assert.instanceOf(found.string, MongoInternals.NpmModule.Binary);
+      chai.assert.instanceOf(found.object.inner, MongoInternals.NpmModule.Binary);
+      chai.assert.deepEqual(await raw.findOne({ string: "hello" }), { _id: found._id, string: "hello", object: { inner: "hello" } });
+    });
+
+    it("should reject the driver methods that aren't wrapped", async () => {
+      ["insert", "update", "remove", "save", "count", "findAndModify", "mapReduce", "initializeOrderedBulkOp"].forEach((name) => {
+        chai.assert.throws(() => raw[name]({ string: "hello" }), /unsupported-operation/);
+      });
+      chai.assert.equal(raw.collectionName, collection.rawCollection().collectionName);
+      chai.assert.isArray(await raw.indexes());
+      chai.assert.equal(await raw.estimatedDocumentCount(), 0);
+    });
+
+    it("should aggregate decrypted", async () => {
+      await raw.insertOne({ ...doc });
+      chai.assert.deepEqual(await raw.aggregate([{ $match: { string: "hello" } }]).toArray(), [doc]);
+    });
+
+    it("should reject pipeline updates, which can't be encrypted", async () => {
+      await raw.insertOne({ ...doc });
+      let error;
+      try {
+        await collection.updateAsync({ _id: doc._id }, [{ $set: { string: "x" } }]);
+      }
+      catch (e) {
+        error = e;
+      }
+      chai.assert.equal(error?.error, "unsupported-operation");
+      const found = await collection.rawCollection().findOne({ _id: doc._id });
+      chai.assert.instanceOf(found.string, MongoInternals.NpmModule.Binary);
+    });
+  });
+
+  describe("Rotate Master Key", () => {
+    const doc = { _id: "1", string: "hello" };
+    const newMasterKey = crypto.randomBytes(96);
+    const newEncOptions = { ...encOptions, masterKey: newMasterKey, kmsProviders: { local: { key: newMasterKey } } };
+
+    it("should re-encrypt the data keys so documents can be read with the new master key", async () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema: { string: true } });
+      await collection.insertAsync(doc);
+      const before = await collection.rawCollection().findOne({ _id: doc._id });
+
+      const result = await EncryptedCollection.rotateMasterKey({
+        keyVaultNamespace: encOptions.keyVaultNamespace,
+        kmsProviders: encOptions.kmsProviders,
+        toMasterKey: newMasterKey
+      });
+      chai.assert.deepEqual(result, { rotated: 1, skipped: [] });
+
+      collection.configureEncryption(newEncOptions, false);
+      collection.configureEncryption({ schema: { string: true } });
+      const after = await collection.rawCollection().findOne({ _id: doc._id });
+      chai.assert.deepEqual(after.string.value(true), before.string.value(true));
+      chai.assert.deepEqual(await collection.findOneAsync({ string: "hello" }), doc);
+    });
+
+    it("should throw and leave the vault alone with the wrong master key", async () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema: { string: true } });
+      await collection.insertAsync(doc);
+      const [keyBefore] = await KeyVaultCollection.rawCollection().find({}).toArray();
+      let error;
+      try {
+        await EncryptedCollection.rotateMasterKey({
+          keyVaultNamespace: encOptions.keyVaultNamespace,
+          fromMasterKey: crypto.randomBytes(96),
+          toMasterKey: newMasterKey
+        });
+      }
+      catch (e) {
+        error = e;
+      }
+      chai.assert.equal(error?.error, "bad-master-key");
+      const [keyAfter] = await KeyVaultCollection.rawCollection().find({}).toArray();
+      chai.assert.deepEqual(keyAfter.keyMaterial.value(true), keyBefore.keyMaterial.value(true));
+    });
+
+    it("should skip and report keys changed while rotating", async () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema: { string: true } });
+      await collection.insertAsync(doc);
+      const keyVault = KeyVaultCollection.rawCollection();
+      const dataKey = await keyVault.findOne({ keyAltNames: encOptions.keyAltName });
+      const concurrentKeyMaterial = new MongoInternals.NpmModule.Binary(crypto.randomBytes(dataKey.keyMaterial.value(true).length), 0);
+      // another server changes the key between it being read and written
+      const racingKeyVault = Object.create(keyVault, {
+        updateOne: {
+          value: async (...args) => {
+            await keyVault.updateOne({ _id: dataKey._id }, { $set: { keyMaterial: concurrentKeyMaterial } });
+            return keyVault.updateOne(...args);
+          }
+        }
+      });
+      const result = await EncryptedCollection.rotateMasterKey({
+        keyVaultNamespace: encOptions.keyVaultNamespace,
+        kmsProviders: encOptions.kmsProviders,
+        toMasterKey: newMasterKey,
+        keyAltNames: [encOptions.keyAltName],
+        mongoClient: { db: () => ({ collection: () => racingKeyVault }) }
+      });
+      chai.assert.deepEqual(result, { rotated: 0, skipped: [dataKey._id] });
+      const keyAfter = await keyVault.findOne({ _id: dataKey._id });
+      chai.assert.deepEqual(keyAfter.keyMaterial.value(true), concurrentKeyMaterial.value(true));
+    });
+  });
+
+  describe("Reencrypt", () => {
+    const docs = [
+      { _id: "1", string: "hello", object: { inner: "hello" } },
+      { _id: "2", string: "world", object: { inner: "world" } },
+      { _id: "3", string: "again", object: { inner: "again" } }
+    ];
+    const schema = { string: true, "object.inner": true };
+    const toOptions = { schema, keyAltName: "other", algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" };
+    const checkpoints = () => collection.rawDatabase().collection("autoEncryptCheckpoints");
+    beforeEach(async () => {
+      await checkpoints().deleteMany({});
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema });
+      await Promise.all(docs.map(doc => collection.insertAsync(doc)));
+    });
+
+    it("should re-encrypt every document with the new options in batches", async () => {
+      const before = await collection.rawCollection().find({}).sort({ _id: 1 }).toArray();
+      const progress = [];
+      const { processed } = await collection.reencrypt({
+        toOptions,
+        batchSize: 2,
+        onProgress: p => progress.push(p)
+      });
+      chai.assert.equal(processed, 3);
+      chai.assert.deepEqual(progress, [{ processed: 2, lastId: "2" }, { processed: 3, lastId: "3" }]);
+      chai.assert.equal(await checkpoints().countDocuments({}), 0);
+
+      const after = await collection.rawCollection().find({}).sort({ _id: 1 }).toArray();
+      after.forEach((doc, i) => {
+        chai.assert.notDeepEqual(doc.string.value(true), before[i].string.value(true));
+      });
+      collection.configureEncryption(toOptions);
+      chai.assert.deepEqual(await collection.find({}, { sort: { _id: 1 } }).fetchAsync(), docs);
+    });
+
+    it("should encrypt previously unencrypted documents", async () => {
+      collection.configureEncryption({});
+      await collection.insertAsync({ _id: "4", string: "plain" });
+      await collection.reencrypt({ fromOptions: { schema, safe: true }, toOptions: { schema } });
+      collection.configureEncryption({ schema });
+      const found = await collection.rawCollection().findOne({ _id: "4" });
+      chai.assert.instanceOf(found.string, MongoInternals.NpmModule.Binary);
+      chai.assert.deepEqual(await collection.findOneAsync({ string: "plain" }), { _id: "4", string: "plain" });
+    });
+
+    it("should resume from the checkpoint", async () => {
+      const before = await collection.rawCollection().find({}).sort({ _id: 1 }).toArray();
+      await checkpoints().insertOne({ _id: `reencrypt.${collection._name}`, lastId: "2", processed: 2 });
+      const { processed } = await collection.reencrypt({ toOptions });
+      chai.assert.equal(processed, 3);
+      const after = await collection.rawCollection().find({}).sort({ _id: 1 }).toArray();
+      // the first two were skipped, so are still encrypted with the old options
+      chai.assert.deepEqual(after[0].string.value(true), before[0].string.value(true));
+      chai.assert.deepEqual(after[1].string.value(true), before[1].string.value(true));
+      chai.assert.notDeepEqual(after[2].string.value(true), before[2].string.value(true));
+    });
+
+    it("should not convert documents again that were converted before the job stopped", async () => {
+      const objectSchema = { string: true, object: () => ({ algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" }) };
+      const resume = async (fromSchema, toSchema) => {
+        // the first document was converted, but the job stopped before its checkpoint was stored
+        await collection.reencrypt({ fromOptions: { schema: fromSchema }, toOptions: { schema: toSchema }, selector: { _id: "1" } });
+        await collection.reencrypt({ fromOptions: { schema: fromSchema }, toOptions: { schema: toSchema } });
+        collection.configureEncryption({ schema: toSchema });
+        chai.assert.deepEqual(await collection.find({}, { sort: { _id: 1 } }).fetchAsync(), docs);
+      };
+      await resume(schema, objectSchema);
+      chai.assert.instanceOf((await collection.rawCollection().findOne({ _id: "1" })).object, MongoInternals.NpmModule.Binary);
+      await resume(objectSchema, schema);
+      chai.assert.instanceOf((await collection.rawCollection().findOne({ _id: "1" })).object.inner, MongoInternals.NpmModule.Binary);
+    });
+
+    it("should not clobber concurrent writes", async () => {
+      const driverCollectionPrototype = Object.getPrototypeOf(collection.rawCollection());
+      const origUpdateOne = driverCollectionPrototype.updateOne;
+      const concurrentMutator = await collection._encryptMutatorAsync({ $set: { string: "changed" } }, {});
+      let raced = false;
+      driverCollectionPrototype.updateOne = async function (...args) {
+        if (!raced) {
+          raced = true;
+          await this.updateMany({ _id: "1" }, concurrentMutator);
+        }
+        return origUpdateOne.apply(this, args);
+      };
+      try {
+        await collection.reencrypt({ toOptions, selector: { _id: "1" } });
+      }
+      finally {
+        driverCollectionPrototype.updateOne = origUpdateOne;
+      }
+      const found = await collection.rawCollection().findOne({ _id: "1" });
+      chai.assert.notDeepEqual(found.string.value(true), concurrentMutator.$set.string);
+      collection.configureEncryption(toOptions);
+      chai.assert.deepEqual(await collection.findOneAsync("1"), { ...docs[0], string: "changed" });
+    });
+
+    it("should skip documents that keep changing while they're re-encrypted", async () => {
+      const driverCollectionPrototype = Object.getPrototypeOf(collection.rawCollection());
+      const origUpdateOne = driverCollectionPrototype.updateOne;
+      let attempts = 0;
+      driverCollectionPrototype.updateOne = async function (filter, ...args) {
+        if (this.collectionName === collection._name && filter._id === "1") {
+          attempts++;
+          return { matchedCount: 0 };
+        }
+        return origUpdateOne.call(this, filter, ...args);
+      };
+      const before = await collection.rawCollection().findOne({ _id: "1" });
+      let result;
+      try {
+        result = await collection.reencrypt({ toOptions });
+      }
+      finally {
+        driverCollectionPrototype.updateOne = origUpdateOne;
+      }
+      chai.assert.deepEqual(result, { processed: 3, skipped: ["1"] });
+      chai.assert.equal(attempts, 5);
+      const after = await collection.rawCollection().findOne({ _id: "1" });
+      chai.assert.deepEqual(after.string.value(true), before.string.value(true));
+    });
+
+    it("should rewrite the blind indexes alongside the fields", async () => {
+      const blindIndexOptions = key => ({ schema: { string: () => ({ blindIndex: { field: "stringIdx", key } }) } });
+      const fromOptions = blindIndexOptions(crypto.randomBytes(32));
+      const toBlindIndexOptions = blindIndexOptions(crypto.randomBytes(32));
+      collection.configureEncryption(fromOptions);
+      await collection.insertAsync({ _id: "4", string: "indexed" });
+      const before = await collection.rawCollection().findOne({ _id: "4" });
+      await collection.reencrypt({ fromOptions, toOptions: toBlindIndexOptions, selector: { _id: "4" } });
+      const after = await collection.rawCollection().findOne({ _id: "4" });
+      chai.assert.isString(after.stringIdx);
+      chai.assert.notEqual(after.stringIdx, before.stringIdx);
+      collection.configureEncryption(toBlindIndexOptions);
+      chai.assert.deepEqual(await collection.findOneAsync({ string: "indexed" }), { _id: "4", string: "indexed" });
+
+      // without a blind index in the new options, the old one is removed
+      await collection.reencrypt({ fromOptions: toBlindIndexOptions, toOptions: { schema }, selector: { _id: "4" } });
+      chai.assert.notProperty(await collection.rawCollection().findOne({ _id: "4" }), "stringIdx");
+    });
+
+    it("should reject an invalid concurrency", async () => {
+      let error;
+      try {
+        await collection.reencrypt({ toOptions, concurrency: 0 });
+      }
+      catch (e) {
+        error = e;
+      }
+      chai.assert.equal(error?.error, "bad-option");
+    });
+  });
+
+  describe("Decrypt Fields", () => {
+    const docs = [
+      { _id: "1", string: "hello", array: [1, 2], object: { inner: "hello", other: "hello" } },
+      { _id: "2", string: "world", array: [3], object: { inner: "world", other: "world" } },
+      { _id: "3", other: "no encrypted fields" }
+    ];
+    const schema = { string: true, "array.$": true, "object.inner": true, "object.other": true };
+    beforeEach(async () => {
+      await collection.rawDatabase().collection("autoEncryptCheckpoints").deleteMany({});
+      collection.configureEncryption({ ...encOptions, safe: true }, false);
+      collection.configureEncryption({ schema });
+      await Promise.all(docs.map(doc => collection.insertAsync(doc)));
+    });
+
+    it("should require the paths to be configured with safe: true", async () => {
+      collection.configureEncryption(encOptions, false);
+      // per-field options can only be given by a function, an object would be a nested schema
+      collection.configureEncryption({ schema: { ...schema, string: () => ({ algorithm: encOptions.algorithm, safe: true }) } });
+      let error;
+      try {
+        await collection.decryptFields(["string", "array.$"]);
+      }
+      catch (e) {
+        error = e;
+      }
+      chai.assert.equal(error?.error, "bad-option");
+      const { processed } = await collection.decryptFields(["string"]);
+      chai.assert.equal(processed, 2);
+      chai.assert.equal((await collection.rawCollection().findOne({ _id: "1" })).string, "hello");
+      chai.assert.deepEqual(await collection.find({}, { sort: { _id: 1 } }).fetchAsync(), docs);
+    });
+
+    it("should write the plaintext back to the same paths", async () => {
+      const { processed } = await collection.decryptFields(["string", "array.$", "object.inner"], { batchSize: 1 });
+      chai.assert.equal(processed, 2);
+      const found = await collection.rawCollection().findOne({ _id: "1" });
+      chai.assert.equal(found.string, "hello");
+      chai.assert.deepEqual(found.array, [1, 2]);
+      chai.assert.equal(found.object.inner, "hello");
+      chai.assert.instanceOf(found.object.other, MongoInternals.NpmModule.Binary);
+
+      collection.configureEncryption({ schema: { "object.other": true } });
+      chai.assert.deepEqual(await collection.find({}, { sort: { _id: 1 } }).fetchAsync(), docs);
+    });
+
+    it("should read mixed documents with the old schema while running", async () => {
+      let during;
+      await collection.decryptFields(["string"], {
+        batchSize: 1,
+        onProgress: async () => {
+          if (!during) {
+            during = await collection.find({}, { sort: { _id: 1 } }).fetchAsync();
+          }
+        }
+      });
+      chai.assert.deepEqual(during, docs);
+    });
+
+    it("should read mixed documents from another instance while running", async () => {
+      const otherServer = new EncryptedCollection("dummy", { ...encOptions, safe: true, defineMutationMethods: false });
+      otherServer.configureEncryption({ schema });
+      let during;
+      await collection.decryptFields(["string"], {
+        batchSize: 1,
+        onProgress: async () => {
+          if (!during) {
+            during = await otherServer.find({}, { sort: { _id: 1 } }).fetchAsync();
+          }
+        }
+      });
+      chai.assert.deepEqual(during, docs);
+      chai.assert.deepEqual(await otherServer.find({}, { sort: { _id: 1 } }).fetchAsync(), docs);
+    });
+  });
+
+  describe("Shred Key", () => {
+    const doc = { _id: "1", tenantId: "a", string: "hello" };
+    beforeEach(async () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema: { string: true }, keyAltName: "tenant-a" });
+      await collection.insertAsync(doc);
+      await collection.insertAsync({ _id: "2", tenantId: "b", string: "hello" });
+      collection.configureEncryption((methodName, { document }) => ({ schema: { string: true }, keyAltName: `tenant-${document?.tenantId}` }));
+    });
+
+    it("should remove the key from the vault", async () => {
+      chai.assert.isTrue(await EncryptedCollection.shredKey("tenant-a", { keyVaultNamespace: encOptions.keyVaultNamespace }));
+      chai.assert.equal(await KeyVaultCollection.rawCollection().countDocuments({ keyAltNames: "tenant-a" }), 0);
+      chai.assert.isFalse(await EncryptedCollection.shredKey("tenant-a", { keyVaultNamespace: encOptions.keyVaultNamespace }));
+    });
+
+    it("should remove every key with the name", async () => {
+      const rawKeyVault = KeyVaultCollection.rawCollection();
+      // vaults from before the unique index can contain duplicates
+      await rawKeyVault.dropIndex("keyAltNames_1");
+      const dataKey = await rawKeyVault.findOne({ keyAltNames: "tenant-a" });
+      await rawKeyVault.insertOne({ ...dataKey, _id: new MongoInternals.NpmModule.Binary(crypto.randomBytes(16), 4) });
+      chai.assert.isTrue(await EncryptedCollection.shredKey("tenant-a", { keyVaultNamespace: encOptions.keyVaultNamespace }));
+      chai.assert.equal(await rawKeyVault.countDocuments({ keyAltNames: "tenant-a" }), 0);
+    });
+
+    it("should throw key-shredded when decrypting", async () => {
+      await EncryptedCollection.shredKey("tenant-a", { keyVaultNamespace: encOptions.keyVaultNamespace });
+      chai.assert.throws(() => collection.findOne({ _id: "1" }), /key-shredded/);
+      chai.assert.deepEqual(collection.findOne({ _id: "2" }), { _id: "2", tenantId: "b", string: "hello" });
+    });
+
+    it("should return the onKeyShredded placeholder when configured", async () => {
+      await EncryptedCollection.shredKey("tenant-a", { keyVaultNamespace: encOptions.keyVaultNamespace });
+      collection.configureEncryption({ schema: { string: true }, onKeyShredded: () => "[shredded]" });
+      chai.assert.deepEqual(await collection.findOneAsync({ _id: "1" }), { ...doc, string: "[shredded]" });
+    });
+  });
+
+  describe("Data Key Creation", () => {
+    it("should only create one key when separate servers create it concurrently", async () => {
+      const mongoClient = collection._driver.mongo.client;
+      // each ClientEncryption stands in for a separate server, they don't share the in-memory cache
+      const encryptionClients = [1, 2, 3].map(() => new ClientEncryption(mongoClient, {
+        keyVaultNamespace: encOptions.keyVaultNamespace,
+        kmsProviders: encOptions.kmsProviders
+      }));
+      const results = await Promise.all(encryptionClients.map(encryptionClient => EncryptedCollection.ensureDataKeyAsync(encryptionClient, {
+        provider: "local",
+        masterKey: encOptions.masterKey,
+        keyAltName: "concurrent"
+      })));
+      chai.assert.equal(await KeyVaultCollection.rawCollection().countDocuments({ keyAltNames: "concurrent" }), 1);
+      results.forEach(({ dataKeyId }) => chai.assert.deepEqual(dataKeyId, results[0].dataKeyId));
+    });
+
+    it("should create a unique index on keyAltNames", async () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema: { string: true } });
+      await collection.insertAsync({ string: "hello" });
+      const indexes = await KeyVaultCollection.rawCollection().indexes();
+      chai.assert.isOk(indexes.find(({ key, unique }) => key.keyAltNames === 1 && unique));
+    });
+
+    it("should refuse to create keys until the unique index can be created", async () => {
+      const rawKeyVault = KeyVaultCollection.rawCollection();
+      if (await rawKeyVault.indexExists("keyAltNames_1")) {
+        await rawKeyVault.dropIndex("keyAltNames_1");
+      }
+      await rawKeyVault.insertMany([{ _id: "a", keyAltNames: ["duplicate"] }, { _id: "b", keyAltNames: ["duplicate"] }]);
+      const encryptionClient = EncryptedCollection.ensureEncryptionClient({ mongoClient: collection._driver.mongo.client, ...encOptions });
+      const options = { provider: "local", masterKey: encOptions.masterKey, keyAltName: "new" };
+      const error = await EncryptedCollection.ensureDataKeyAsync(encryptionClient, options).catch(e => e);
+      chai.assert.equal(error.error, "key-vault-index");
+      chai.assert.equal(await rawKeyVault.countDocuments({ keyAltNames: "new" }), 0);
+
+      await rawKeyVault.deleteMany({ _id: { $in: ["a", "b"] } });
+      const { dataKeyId } = await EncryptedCollection.ensureDataKeyAsync(encryptionClient, options);
+      chai.assert.isOk(dataKeyId);
+      chai.assert.isTrue(await rawKeyVault.indexExists("keyAltNames_1"));
+    });
+
+    it("should give up creating a key after repeated conflicts", async () => {
+      const encryptionClient = new ClientEncryption(collection._driver.mongo.client, {
+        keyVaultNamespace: encOptions.keyVaultNamespace,
+        kmsProviders: encOptions.kmsProviders
+      });
+      let attempts = 0;
+      encryptionClient.createDataKey = async () => {
+        attempts++;
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+      };
+      const error = await EncryptedCollection.ensureDataKeyAsync(encryptionClient, {
+        provider: "local", masterKey: encOptions.masterKey, keyAltName: "conflicted"
+      }).catch(e => e);
+      chai.assert.equal(error.code, 11000);
+      chai.assert.equal(attempts, 3);
+    });
+  });
+
+  describe("Key Cache", () => {
+    const keyOptions = keyAltName => ({ provider: "local", masterKey: encOptions.masterKey, keyAltName });
+    let encryptionClient;
+    beforeEach(() => {
+      encryptionClient = EncryptedCollection.ensureEncryptionClient({ mongoClient: collection._driver.mongo.client, ...encOptions });
+    });
+    afterEach(() => {
+      EncryptedCollection.configureKeyCache();
+    });
+
+    it("should only load the requested key", async () => {
+      await KeyVaultCollection.rawCollection().insertOne({ _id: "not-a-key", keyAltNames: ["other"] });
+      const { dataKeyId } = await EncryptedCollection.ensureDataKeyAsync(encryptionClient, keyOptions("first"));
+      chai.assert.equal(await KeyVaultCollection.rawCollection().countDocuments({ keyAltNames: "first" }), 1);
+      chai.assert.deepEqual((await EncryptedCollection.ensureDataKeyAsync(encryptionClient, keyOptions("first"))).dataKeyId, dataKeyId);
+    });
+
+    it("should cache keys forever by default", async () => {
+      const { dataKeyId } = await EncryptedCollection.ensureDataKeyAsync(encryptionClient, keyOptions("first"));
+      await EncryptedCollection.ensureDataKeyAsync(encryptionClient, keyOptions("second"));
+      await KeyVaultCollection.rawCollection().deleteOne({ keyAltNames: "first" });
+      chai.assert.deepEqual((await EncryptedCollection.ensureDataKeyAsync(encryptionClient, keyOptions("first"))).dataKeyId, dataKeyId);
+    });
+
+    it("should evict the least recently used key", async () => {
+      EncryptedCollection.configureKeyCache({ maxSize: 1 });
+      const { dataKeyId } = await EncryptedCollection.ensureDataKeyAsync(encryptionClient, keyOptions("first"));
+      await EncryptedCollection.ensureDataKeyAsync(encryptionClient, keyOptions("second"));
+      await KeyVaultCollection.rawCollection().deleteOne({ keyAltNames: "first" });
+      chai.assert.notDeepEqual((await EncryptedCollection.ensureDataKeyAsync(encryptionClient, keyOptions("first"))).dataKeyId, dataKeyId);
+    });
+
+    it("should expire keys after the ttl", async () => {
+      EncryptedCollection.configureKeyCache({ ttl: 1 });
+      const { dataKeyId } = await EncryptedCollection.ensureDataKeyAsync(encryptionClient, keyOptions("first"));
+      await KeyVaultCollection.rawCollection().deleteOne({ keyAltNames: "first" });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      chai.assert.notDeepEqual((await EncryptedCollection.ensureDataKeyAsync(encryptionClient, keyOptions("first"))).dataKeyId, dataKeyId);
+    });
+  });
+
+  describe("Concurrency", () => {
+    const fields = Array.from({ length: 10 }, (v, i) => `field${i}`);
+    const schema = Object.fromEntries(fields.map(field => [field, true]));
+    const docs = Array.from({ length: 200 }, (v, i) => ({ _id: `${i}`.padStart(3, "0"), ...Object.fromEntries(fields.map(field => [field, `${field} ${i}`])) }));
+    beforeEach(async () => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema });
+      await collection.encryptedRawCollection().insertMany(docs.map(doc => ({ ...doc })));
+    });
+
+    it("should limit the number of concurrent decryptions", async () => {
+      const origDecryptValueAsync = EncryptedCollection.decryptValueAsync;
+      let inFlight = 0;
+      let maxInFlight = 0;
+      EncryptedCollection.decryptValueAsync = async (...args) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        try {
+          return await origDecryptValueAsync(...args);
+        }
+        finally {
+          inFlight--;
+        }
+      };
+      try {
+        collection.configureEncryption({ schema, concurrency: 3 });
+        chai.assert.deepEqual(await collection.find({}, { sort: { _id: 1 } }).fetchAsync(), docs);
+      }
+      finally {
+        EncryptedCollection.decryptValueAsync = origDecryptValueAsync;
+      }
+      chai.assert.equal(maxInFlight, 3);
+    });
+
+    // with the local provider the decryption is largely synchronous, so concurrency only helps when it waits (e.g., on a KMS provider)
+    // we simulate that with a fixed delay - the margin is generous so this isn't sensitive to the speed of the machine
+    it("benchmark: fetch should be faster when decryptions wait", async () => {
+      const origDecryptValueAsync = EncryptedCollection.decryptValueAsync;
+      EncryptedCollection.decryptValueAsync = async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return origDecryptValueAsync(...args);
+      };
+      const time = async (options) => {
+        collection.configureEncryption({ schema, ...options });
+        const start = Date.now();
+        chai.assert.deepEqual(await collection.find({}, { sort: { _id: 1 }, limit: 20 }).fetchAsync(), docs.slice(0, 20));
+        return Date.now() - start;
+      };
+      try {
+        const sequential = await time({ concurrency: 1 });
+        const concurrent = await time({});
+        // 200 values, at least 1s one at a time
+        chai.assert.isAtLeast(sequential, 1000);
+        chai.assert.isBelow(concurrent, sequential / 4);
+      }
+      finally {
+        EncryptedCollection.decryptValueAsync = origDecryptValueAsync;
+      }
+    });
+
+    it("should reject a concurrency that isn't a positive integer", () => {
+      [0, -1, 1.5, "4"].forEach((concurrency) => {
+        chai.assert.throws(() => collection.configureEncryption({ schema, concurrency }), /bad-option/);
+      });
+      collection.configureEncryption(() => ({ schema, concurrency: 0 }));
+      chai.assert.throws(() => collection.find({}).fetch(), /bad-option/);
+    });
+  });
+
+  describe("Lazy Decrypt", () => {
+    const doc = { _id: "1", name: "hello", string: "hello", object: { inner: "hello" }, array: [1, 2] };
+    let decryptions;
+    let origDecryptValueAsync;
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema: { string: true, "object.inner": true, "array.$": true } });
+      collection.insert(doc);
+      decryptions = 0;
+      origDecryptValueAsync = EncryptedCollection.decryptValueAsync;
+      EncryptedCollection.decryptValueAsync = (...args) => {
+        decryptions++;
+        return origDecryptValueAsync(...args);
+      };
+    });
+    afterEach(() => {
+      EncryptedCollection.decryptValueAsync = origDecryptValueAsync;
+    });
+
+    it("should only decrypt a field when it is read", () => {
+      const [result] = collection.find({ string: "hello" }, { lazyDecrypt: true }).fetch();
+      chai.assert.equal(decryptions, 0);
+      chai.assert.equal(result._id, "1");
+      chai.assert.equal(result.name, "hello");
+      chai.assert.equal(decryptions, 0);
+      chai.assert.equal(result.string, "hello");
+      chai.assert.equal(decryptions, 1);
+      chai.assert.equal(result.string, "hello");
+      chai.assert.equal(decryptions, 1);
+      chai.assert.deepEqual(result, doc);
+      chai.assert.equal(decryptions, 4);
+    });
+
+    it("should allow lazily decrypted fields to be overwritten", () => {
+      collection.find({}, { lazyDecrypt: true }).forEach((result) => {
+        result.string = "world";
+        chai.assert.equal(result.string, "world");
+      });
+      chai.assert.equal(decryptions, 0);
+    });
+
+    it("should reject lazyDecrypt with the async API", async () => {
+      const cursor = collection.find({}, { lazyDecrypt: true });
+      const methods = [() => cursor.fetchAsync(), () => cursor.forEachAsync(() => {}), () => cursor.mapAsync(doc => doc)];
+      await methods.reduce((previous, method) => previous.then(async () => {
+        let error;
+        try {
+          await method();
+        }
+        catch (e) {
+          error = e;
+        }
+        chai.assert.equal(error?.error, "unsupported-option");
+      }), Promise.resolve());
+      chai.assert.equal(decryptions, 0);
+    });
+
+    it("should reject lazyDecrypt without fibers", () => {
+      EncryptedCollection.disableFibers();
+      try {
+        chai.assert.throws(() => collection.find({}, { lazyDecrypt: true }), "lazyDecrypt requires fibers");
+      }
+      finally {
+        EncryptedCollection.reset();
+      }
+    });
+  });
+
+  describe("Projection", () => {
+    const random = () => ({ algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" });
+    const doc = {
+      _id: "1", object: { inner: "hello" }, array: [1, 2, 3], list: [1, 2, 3], string: "hello", nested: { inner: "hello", other: "world" }
+    };
+    const schema = {
+      object: random, array: random, "list.$": true, string: true, "nested.*": true
+    };
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema });
+      collection.insert(doc);
+    });
+
+    it("should reject projecting into a field encrypted as a whole", () => {
+      chai.assert.throws(() => collection.find({}, { fields: { "object.inner": 1 } }), /bad-projection/);
+      chai.assert.throws(() => collection.findOne({}, { fields: { "object.inner": 1 } }), /bad-projection/);
+    });
+
+    it("should reject $slice and $elemMatch on an array encrypted as a whole", () => {
+      chai.assert.throws(() => collection.find({}, { fields: { array: { $slice: 1 } } }), /bad-projection/);
+      chai.assert.throws(() => collection.find({}, { fields: { array: { $elemMatch: { $eq: 1 } } } }), /bad-projection/);
+    });
+
+    it("should allow $slice on an array with encrypted entries", () => {
+      chai.assert.deepEqual(collection.findOne({}, { fields: { list: { $slice: 1 } } }).list, [1]);
+    });
+
+    it("should decrypt the projected fields", () => {
+      chai.assert.deepEqual(collection.find({}, { fields: { string: 1, "nested.inner": 1 } }).fetch(), [{ _id: "1", string: "hello", nested: { inner: "hello" } }]);
+      chai.assert.deepEqual(collection.findOne({}, { fields: { object: 1 } }), { _id: "1", object: doc.object });
+      const { string, ...withoutString } = doc;
+      chai.assert.deepEqual(collection.findOne({}, { fields: { string: 0 } }), withoutString);
+    });
+
+    it("should only keep the schema entries of the projected fields", () => {
+      const projected = new EncryptionSchema(schema).project(["string", "nested.inner"]);
+      chai.assert.isOk(projected.encryptionOptions("string"));
+      chai.assert.isOk(projected.encryptionOptions("nested.inner"));
+      chai.assert.isNotOk(projected.get("object"));
+      chai.assert.isNotOk(projected.get("list"));
+    });
+  });
+
+  describe("Blind Index", () => {
+    const blindIndexKey = crypto.randomBytes(32);
+    const email = () => ({ algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random", blindIndex: { field: "emailIdx", key: blindIndexKey } });
+    const doc = { _id: "1", email: "a@example.com", profile: { email: "b@example.com" } };
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({ schema: { email, "profile.email": email, "list.$": email } });
+      collection.insert(doc);
+    });
+
+    it("should store the blind index alongside the encrypted field", () => {
+      const found = Promise.await(collection.rawCollection().findOne({ _id: "1" }));
+      chai.assert.instanceOf(found.email, MongoInternals.NpmModule.Binary);
+      chai.assert.isString(found.emailIdx);
+      chai.assert.isString(found.profile.emailIdx);
+      chai.assert.notEqual(found.emailIdx, found.profile.emailIdx);
+    });
+
+    it("should remove the blind index from the results", () => {
+      chai.assert.deepEqual(collection.findOne({ _id: "1" }), doc);
+      chai.assert.deepEqual(collection.find({}).fetch(), [doc]);
+    });
+
+    [
+      { email: "a@example.com" },
+      { email: { $in: ["a@example.com", "c@example.com"] } },
+      { email: { $eq: "a@example.com" } },
+      { email: { $not: { $eq: "c@example.com" } } },
+      { "profile.email": "b@example.com" },
+      { $or: [{ email: "c@example.com" }, { "profile.email": "b@example.com" }] }
+    ].forEach((selector) => {
+      it(`should find with ${JSON.stringify(selector)}`, () => {
+        chai.assert.deepEqual(collection.findOne(selector), doc);
+      });
+    });
+
+    it("should not find with a different value", () => {
+      chai.assert.isUndefined(collection.findOne({ email: "c@example.com" }));
+    });
+
+    it("should update the blind index and select by it", () => {
+      collection.update({ email: "a@example.com" }, { $set: { email: "c@example.com" } });
+      chai.assert.deepEqual(collection.findOne({ email: "c@example.com" }), { ...doc, email: "c@example.com" });
+      chai.assert.isUndefined(collection.findOne({ email: "a@example.com" }));
+    });
+
+    it("should unset the blind index", () => {
+      collection.update({ _id: "1" }, { $unset: { email: "" } });
+      const found = Promise.await(collection.rawCollection().findOne({ _id: "1" }));
+      chai.assert.notProperty(found, "emailIdx");
+    });
+
+    it("should remove by the blind index", () => {
+      chai.assert.equal(collection.remove({ email: "a@example.com" }), 1);
+    });
+
+    it("should reject operators that need more than equality", () => {
+      chai.assert.throws(() => collection.findOne({ email: { $gt: "a" } }), /unsupported-operator/);
+      chai.assert.throws(() => collection.findOne({ email: /example/ }), /unsupported-operator/);
+    });
+
+    it("should reject blind indexes on array elements", () => {
+      chai.assert.throws(() => collection.insert({ list: ["a@example.com"] }), /unsupported-operation/);
+    });
+  });
+
+  describe("Search Index", () => {
+    const searchKey = crypto.randomBytes(32);
+    const random = { algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" };
+    const docs = [
+      { _id: "1", name: "Alice Smith", notes: "likes encrypted databases" },
+      { _id: "2", name: "Albert Jones", notes: "prefers plaintext" }
+    ];
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          name: () => ({ ...random, searchIndex: { field: "nameTokens", key: searchKey, caseInsensitive: true, maxLength: 5 } }),
+          notes: () => ({ ...random, searchIndex: { field: "notesTokens", key: searchKey, type: "ngram" } })
+        }
+      });
+      docs.forEach(doc => collection.insert(doc));
+    });
+
+    it("should store the tokens in a hidden array", () => {
+      const found = Promise.await(collection.rawCollection().findOne({ _id: "1" }));
+      chai.assert.instanceOf(found.name, MongoInternals.NpmModule.Binary);
+      chai.assert.lengthOf(found.nameTokens, 5);
+      chai.assert.isNotEmpty(found.notesTokens);
+      chai.assert.deepEqual(collection.findOne({ _id: "1" }), docs[0]);
+    });
+
+    [
+      [{ name: /^al/ }, ["1", "2"]],
+      [{ name: /^Ali/i }, ["1"]],
+      [{ name: { $regex: "^alb" } }, ["2"]],
+      [{ name: { $regex: "^ALICE S", $options: "i" } }, ["1"]],
+      [{ notes: { $encryptedContains: "crypt" } }, ["1"]],
+      [{ notes: { $encryptedContains: "plain" } }, ["2"]],
+      [{ notes: { $encryptedContains: "xyz" } }, []],
+      [{ name: /^al/, notes: { $encryptedContains: "pref" } }, ["2"]]
+    ].forEach(([selector, ids]) => {
+      it(`should find ${JSON.stringify(ids)} with ${selector.name instanceof RegExp ? selector.name : JSON.stringify(selector)}`, () => {
+        chai.assert.deepEqual(collection.find(selector, { sort: { _id: 1 } }).map(({ _id }) => _id), ids);
+      });
+    });
+
+    it("should update the tokens", () => {
+      collection.update({ _id: "2" }, { $set: { name: "Bob" } });
+      chai.assert.deepEqual(collection.find({ name: /^bo/ }).map(({ _id }) => _id), ["2"]);
+      chai.assert.deepEqual(collection.find({ name: /^alb/ }).map(({ _id }) => _id), []);
+    });
+
+    it("should reject searches that aren't a literal prefix, or are too short", () => {
+      chai.assert.throws(() => collection.findOne({ name: /al/ }), /unsupported-operator/);
+      chai.assert.throws(() => collection.findOne({ name: /^a.c/ }), /unsupported-operator/);
+      chai.assert.throws(() => collection.findOne({ notes: { $encryptedContains: "ab" } }), /bad-query/);
+      chai.assert.throws(() => collection.findOne({ name: { $encryptedContains: "ali" } }), /unsupported-operator/);
+      chai.assert.throws(() => collection.findOne({ other: { $encryptedContains: "ali" } }), /unsupported-operator/);
+    });
+  });
+
+  describe("Range Index", () => {
+    const rangeKey = crypto.randomBytes(32);
+    const random = { algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" };
+    const docs = [
+      { _id: "1", dob: new Date("1990-01-15"), salary: 45000 },
+      { _id: "2", dob: new Date("1990-01-25"), salary: 52000 },
+      { _id: "3", dob: new Date("1991-06-01"), salary: 90000 }
+    ];
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          dob: () => ({ ...random, rangeIndex: { field: "dobBucket", key: rangeKey, granularity: "month" } }),
+          salary: () => ({
+            ...random,
+            rangeIndex: {
+              field: "salaryBucket", key: rangeKey, granularity: 10000, min: 0, max: 1000000
+            }
+          })
+        }
+      });
+      docs.forEach(doc => collection.insert(doc));
+    });
+
+    it("should store the bucket token alongside the field", () => {
+      const found = Promise.await(collection.rawCollection().findOne({ _id: "1" }));
+      chai.assert.instanceOf(found.dob, MongoInternals.NpmModule.Binary);
+      chai.assert.isString(found.dobBucket);
+      chai.assert.isString(found.salaryBucket);
+      chai.assert.equal(found.dobBucket, Promise.await(collection.rawCollection().findOne({ _id: "2" })).dobBucket);
+      chai.assert.deepEqual(collection.findOne({ _id: "1" }), docs[0]);
+    });
+
+    [
+      [{ dob: { $gte: new Date("1990-01-20"), $lt: new Date("1991-01-01") } }, ["2"]],
+      [{ dob: { $gte: new Date("1990-01-01"), $lte: new Date("1991-12-31") } }, ["1", "2", "3"]],
+      [{ salary: { $gt: 45000 } }, ["2", "3"]],
+      [{ salary: { $gte: 40000, $lte: 60000 }, dob: { $lt: new Date("1990-01-20") } }, ["1"]],
+      [{ $and: [{ salary: { $lt: 100000 } }, { salary: { $gt: 50000 } }] }, ["2", "3"]],
+      [{ salary: { $gte: 91000, $lte: 99000 } }, []]
+    ].forEach(([selector, ids]) => {
+      it(`should find ${JSON.stringify(ids)} with ${JSON.stringify(selector)}`, () => {
+        chai.assert.deepEqual(collection.find(selector, { sort: { _id: 1 } }).map(({ _id }) => _id), ids);
+      });
+    });
+
+    it("should skip and limit after filtering", () => {
+      const cursor = collection.find({ salary: { $gt: 45000 } }, { sort: { _id: 1 }, skip: 1, limit: 1 });
+      chai.assert.deepEqual(cursor.fetch().map(({ _id }) => _id), ["3"]);
+      chai.assert.equal(cursor.count(), 1);
+      chai.assert.equal(cursor.count(false), 2);
+      chai.assert.equal(collection.findOne({ dob: { $gt: new Date("1990-01-20"), $lt: new Date("1990-02-01") } })._id, "2");
+    });
+
+    it("should filter observeChanges", () => {
+      const added = [];
+      const removed = [];
+      const handle = collection.find({ dob: { $gt: new Date("1990-01-20"), $lt: new Date("1990-02-01") } }).observeChanges({
+        added(id) {
+          added.push(id);
+        },
+        removed(id) {
+          removed.push(id);
+        }
+      });
+      chai.assert.deepEqual(added, ["2"]);
+
+      collection.update({ _id: "1" }, { $set: { dob: new Date("1990-01-21") } });
+      waitFor(() => added.length === 2);
+      collection.update({ _id: "2" }, { $set: { dob: new Date("1990-01-02") } });
+      waitFor(() => removed.length);
+      handle.stop();
+      chai.assert.deepEqual(added, ["2", "1"]);
+      chai.assert.deepEqual(removed, ["2"]);
+    });
+
+    it("should reject range queries that can't be answered exactly", () => {
+      chai.assert.throws(() => collection.findOne({ dob: { $gt: new Date("1990-01-20") } }), /bad-query/);
+      chai.assert.throws(() => collection.findOne({ dob: { $gt: 1990 } }), /bad-query/);
+      chai.assert.throws(() => collection.findOne({ salary: { $gt: 0, $lt: 1e9 } }), /bad-query/);
+      chai.assert.throws(() => collection.findOne({ $or: [{ salary: { $gt: 45000 } }, { _id: "1" }] }), /unsupported-operator/);
+      chai.assert.throws(() => collection.findOne({ salary: { $gt: 45000 } }, { fields: { dob: 1 } }), /bad-projection/);
+      chai.assert.throws(() => collection.remove({ salary: { $gt: 45000 } }), /unsupported-operation/);
+      chai.assert.throws(() => Promise.await(collection.encryptedRawCollection().findOne({ salary: { $gt: 45000 } })), /unsupported-operation/);
+      chai.assert.equal(collection.find().count(), 3);
+    });
+  });
+
+  describe("Normalize", () => {
+    const lowerCase = value => (typeof value === "string" ? value.trim().toLowerCase() : value);
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          email: () => ({ normalize: lowerCase, keepOriginal: { field: "emailOriginal" } }),
+          username: () => ({ normalize: lowerCase }),
+          "tags.$": () => ({ normalize: lowerCase })
+        }
+      });
+      collection.insert({
+        _id: "1", email: "Bob@Example.com", username: " Bob ", tags: ["Admin"]
+      });
+    });
+
+    it("should normalize values before encrypting them", () => {
+      chai.assert.deepEqual(collection.findOne({ _id: "1" }), {
+        _id: "1", email: "bob@example.com", emailOriginal: "Bob@Example.com", username: "bob", tags: ["admin"]
+      });
+      const found = Promise.await(collection.rawCollection().findOne({ _id: "1" }));
+      chai.assert.instanceOf(found.emailOriginal, MongoInternals.NpmModule.Binary);
+    });
+
+    it("should normalize values in selectors", () => {
+      chai.assert.equal(collection.findOne({ email: "BOB@example.com" })?._id, "1");
+      chai.assert.equal(collection.findOne({ username: { $in: ["BOB", "alice"] } })?._id, "1");
+      chai.assert.equal(collection.findOne({ tags: "ADMIN" })?._id, "1");
+    });
+
+    it("should normalize values in mutators", () => {
+      collection.update({ username: "BoB" }, { $set: { email: "Robert@Example.com" }, $push: { tags: "Owner" } });
+      chai.assert.deepEqual(collection.findOne({ email: "robert@example.com" }), {
+        _id: "1", email: "robert@example.com", emailOriginal: "Robert@Example.com", username: "bob", tags: ["admin", "owner"]
+      });
+    });
+
+    it("should unset the original with the field", () => {
+      collection.update({ _id: "1" }, { $unset: { email: 1 } });
+      chai.assert.deepEqual(collection.findOne({ _id: "1" }), { _id: "1", username: "bob", tags: ["admin"] });
+    });
+  });
+
+  describe("EJSON Types", () => {
+    class Money {
+      constructor(amount, currency) {
+        this.amount = amount;
+        this.currency = currency;
+      }
+
+      typeName() {
+        return "money";
+      }
+
+      toJSONValue() {
+        return { amount: this.amount, currency: this.currency };
+      }
+
+      clone() {
+        return new Money(this.amount, this.currency);
+      }
+
+      equals(other) {
+        return other instanceof Money && other.amount === this.amount && other.currency === this.currency;
+      }
+    }
+    EJSON.addType("money", value => new Money(value.amount, value.currency));
+
+    const random = () => ({ algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" });
+    const doc = {
+      _id: "1",
+      date: new Date("2020-01-01T00:00:00Z"),
+      objectId: new Mongo.ObjectID(),
+      decimal: Decimal("1.10"),
+      binary: new Uint8Array([1, 2, 3]),
+      custom: new Money(10, "GBP"),
+      nested: { ids: [new Mongo.ObjectID()], price: new Money(5, "USD"), when: new Date("2021-01-01T00:00:00Z") }
+    };
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      collection.configureEncryption({
+        schema: {
+          date: random, objectId: random, decimal: random, binary: random, custom: random, nested: random
+        }
+      });
+      collection.insert(doc);
+    });
+
+    it("should restore the types of decrypted values", () => {
+      const found = collection.findOne({ _id: "1" });
+      chai.assert.instanceOf(found.date, Date);
+      chai.assert.instanceOf(found.objectId, Mongo.ObjectID);
+      chai.assert.instanceOf(found.decimal, Decimal);
+      chai.assert.instanceOf(found.binary, Uint8Array);
+      chai.assert.instanceOf(found.custom, Money);
+      chai.assert.instanceOf(found.nested.ids[0], Mongo.ObjectID);
+      chai.assert.instanceOf(found.nested.price, Money);
+      chai.assert.isTrue(EJSON.equals(found, doc));
+    });
+
+    it("should store custom types with meteor's EJSON markers", () => {
+      const raw = Promise.await(collection.rawCollection().findOne({ _id: "1" }));
+      const decrypted = Promise.await(EncryptedCollection.decryptValueAsync(EncryptedCollection.ensureEncryptionClient({ mongoClient: collection._driver.mongo.client, ...encOptions }), raw.custom));
+      chai.assert.deepEqual(decrypted, { EJSON$type: "money", EJSON$value: { EJSONamount: 10, EJSONcurrency: "GBP" } });
+    });
+
+    it("should restore the types of values decrypted from the raw collection", async () => {
+      const found = await collection.encryptedRawCollection().findOne({ _id: "1" });
+      chai.assert.isTrue(EJSON.equals(found, doc));
+    });
+  });
+
+  describe("SimpleSchema", () => {
+    // a separate collection, as collection2 keeps validating a collection once a schema is attached
+    const schemaCollection = new EncryptedCollection("simpleSchema");
+    SimpleSchema.extendOptions(["encrypted"]);
+    const simpleSchema = new SimpleSchema({
+      name: { type: String, max: 10, encrypted: true },
+      tags: Array,
+      "tags.$": { type: String, encrypted: true },
+      profile: Object,
+      "profile.email": { type: String, encrypted: { algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" } },
+      "profile.age": Number
+    });
+
+    beforeEach(() => {
+      schemaCollection.remove({});
+      schemaCollection.configureEncryption(encOptions, false);
+      schemaCollection.attachEncryptedSchema(simpleSchema, { replace: true });
+    });
+
+    it("should build an encryption schema from the encrypted fields", () => {
+      const schema = encryptionSchemaFromSimpleSchema(simpleSchema);
+      chai.assert.deepEqual(Object.keys(schema), ["name", "tags.$", "profile.email"]);
+      chai.assert.equal(schema.name, true);
+      chai.assert.deepEqual(schema["profile.email"](), { algorithm: "AEAD_AES_256_CBC_HMAC_SHA_512-Random" });
+    });
+
+    it("should encrypt the fields marked as encrypted", () => {
+      const doc = {
+        _id: "1", name: "Bob", tags: ["a"], profile: { email: "bob@example.com", age: 30 }
+      };
+      schemaCollection.insert(doc);
+      const found = Promise.await(schemaCollection.rawCollection().findOne({ _id: "1" }));
+      chai.assert.instanceOf(found.name, MongoInternals.NpmModule.Binary);
+      chai.assert.instanceOf(found.tags[0], MongoInternals.NpmModule.Binary);
+      chai.assert.instanceOf(found.profile.email, MongoInternals.NpmModule.Binary);
+      chai.assert.equal(found.profile.age, 30);
+      chai.assert.deepEqual(schemaCollection.findOne({ name: "Bob", tags: "a" }), doc);
+    });
+
+    it("should validate the unencrypted values with collection2", () => {
+      const doc = {
+        _id: "1", name: "Bob", tags: ["a"], profile: { email: "bob@example.com", age: 30 }
+      };
+      chai.assert.throws(() => schemaCollection.insert({ ...doc, name: "Bob the Builder" }), /cannot exceed 10 characters/);
+      chai.assert.equal(Promise.await(schemaCollection.rawCollection().countDocuments({})), 0);
+
+      schemaCollection.insert(doc);
+      chai.assert.throws(() => schemaCollection.update({ _id: "1" }, { $set: { name: "Bob the Builder" } }), /cannot exceed 10 characters/);
+      chai.assert.deepEqual(schemaCollection.findOne({ _id: "1" }), doc);
+    });
+  });
+
+  describe("JSON Schema", () => {
+    const RANDOM = "AEAD_AES_256_CBC_HMAC_SHA_512-Random";
+    const DETERMINISTIC = "AEAD_AES_256_CBC_HMAC_SHA_512-Deterministic";
+    const keyIdOf = ciphertext => Buffer.from(ciphertext.buffer).slice(1, 17).toString("hex");
+    let encryptionClient;
+    beforeEach(() => {
+      collection.configureEncryption(encOptions, false);
+      encryptionClient = EncryptedCollection.ensureEncryptionClient({ mongoClient: collection._driver.mongo.client, ...encOptions });
+    });
+
+    it("should encrypt the fields of a $jsonSchema", async () => {
+      const { dataKeyId } = await EncryptedCollection.ensureDataKeyAsync(encryptionClient, encOptions);
+      collection.configureEncryption({
+        jsonSchema: {
+          bsonType: "object",
+          encryptMetadata: { algorithm: RANDOM },
+          properties: {
+            ssn: { encrypt: { bsonType: "string", keyId: "/keyName" } },
+            profile: {
+              bsonType: "object",
+              properties: {
+                email: { encrypt: { bsonType: "string", algorithm: DETERMINISTIC, keyId: [dataKeyId] } }
+              }
+            },
+            tags: { bsonType: "array", items: { encrypt: { bsonType: "string" } } }
+          }
+        }
+      });
+      const doc = {
+        _id: "1", keyName: "tenant-json", ssn: "123-45-6789", profile: { email: "a@example.com" }, tags: ["a"]
+      };
+      await collection.insertAsync(doc);
+      const found = await collection.rawCollection().findOne({ _id: "1" });
+      const tenantKey = await KeyVaultCollection.rawCollection().findOne({ keyAltNames: "tenant-json" });
+      chai.assert.equal(keyIdOf(found.ssn), tenantKey._id.toString("hex"));
+      chai.assert.equal(keyIdOf(found.profile.email), dataKeyId.toString("hex"));
+      chai.assert.instanceOf(found.tags[0], MongoInternals.NpmModule.Binary);
+      chai.assert.deepEqual(await collection.findOneAsync({ "profile.email": "a@example.com" }), doc);
+    });
+
+    it("should reject writes that don't include the keyAltName of a JSON pointer", async () => {
+      collection.configureEncryption({
+        jsonSchema: {
+          bsonType: "object",
+          properties: {
+            ssn: { encrypt: { bsonType: "string", algorithm: RANDOM, keyId: "/keyName" } }
+          }
+        }
+      });
+      await collection.insertAsync({ _id: "1", keyName: "tenant-json", ssn: "123-45-6789" });
+      let error;
+      try {
+        await collection.updateAsync({ _id: "1" }, { $set: { ssn: "987-65-4321" } });
+      }
+      catch (e) {
+        error = e;
+      }
+      chai.assert.equal(error?.error, "bad-schema");
+      await collection.updateAsync({ _id: "1" }, { $set: { ssn: "987-65-4321", keyName: "tenant-json" } });
+      chai.assert.equal((await collection.findOneAsync({ _id: "1" })).ssn, "987-65-4321");
+      chai.assert.equal(await KeyVaultCollection.rawCollection().countDocuments({ keyAltNames: null }), 0);
+    });
+
+    it("should export the schema as a $jsonSchema", async () => {
+      collection.configureEncryption({
+        schema: {
+          ssn: () => ({ bsonType: "string" }),
+          "profile.email": () => ({ algorithm: RANDOM })
+        }
+      });
+      const jsonSchema = await collection.toJsonSchema();
+      const { dataKeyId } = await EncryptedCollection.ensureDataKeyAsync(encryptionClient, encOptions);
+      chai.assert.deepEqual(jsonSchema, {
+        bsonType: "object",
+        properties: {
+          ssn: { encrypt: { algorithm: DETERMINISTIC, bsonType: "string", keyId: [dataKeyId] } },
+          profile: {
+            bsonType: "object",
+            properties: {
+              email: { encrypt: { algorithm: RANDOM, keyId: [dataKeyId] } }
+            }
+          }
+        }
+      });
+      chai.assert.deepEqual(Object.keys(encryptionSchemaFromJsonSchema(jsonSchema)), ["ssn", "profile.email"]);
+    });
+
+    it("should reject exporting what automatic encryption can't encrypt", async () => {
+      const exportError = async (schema) => {
+        collection.configureEncryption({ schema });
+        try {
+          await collection.toJsonSchema();
+        }
+        catch (e) {
+          return e.error;
+        }
+        return undefined;
+      };
+      chai.assert.equal(await exportError({ "tags.$": true }), "unsupported-operation");
+      chai.assert.equal(await exportError({ ssn: true }), "bad-schema");
+    });
+  });
 });